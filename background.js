@@ -1,147 +1,1028 @@
-// Global state for tabs
+import './lib/salesforce-url.js';
+import './lib/setup-url-translation.js';
+import './lib/setup-catalog.js';
+import './lib/page-history.js';
+import './lib/org-links.js';
+import './lib/org-labels.js';
+import './lib/settings.js';
+import './lib/logger.js';
+import './lib/panel-channel.js';
+
+// Name this context's events and follow the log level from the options page
+Logger.init({ source: 'background' });
+
+// Global state for tabs (in-memory cache of what is persisted in session storage)
 const state = {
-    tabState: new Map()
+    tabState: new Map(),
+    // Connected side panels by window, registered when the panel says hello on its port
+    panelChannels: new Map(),
+    // Requests waiting for a window's panel to connect, flushed in order on hello
+    panelQueues: new Map(),
+    // URL each side panel frame request started from, by webRequest requestId, so a
+    // failure after redirects can be reported against the page the panel asked for
+    frameRequests: new Map(),
+    // Tab and org the omnibox keyword is working against, resolved while the user types
+    // so the chosen page can open in the side panel before anything is awaited
+    omniboxTarget: null,
+    // When each org host was last recorded as seen, by origin, to spare storage writes
+    orgsRecordedAt: new Map()
+};
+
+// Key prefix for per-tab state entries in chrome.storage.session
+const TAB_STATE_PREFIX = 'tabState:';
+
+// Shared URL helpers from lib/salesforce-url.js
+const { isSalesforceDomain, isSetupUrl, isLoginUrl } = SalesforceUrl;
+
+// Port messaging with the side panel from lib/panel-channel.js
+const { PANEL_PORT_NAME, MessageType, FrameFailure, PortChannel } = PanelChannel;
+
+// How long a queued request waits for the panel to connect before it fails
+const PANEL_CONNECT_TIMEOUT_MS = 10000;
+
+// Frame requests, watched to explain why a panel page did not load. Only hosts the
+// extension has access to are visible: the Salesforce domains and the user's own.
+const FRAME_REQUEST_FILTER = {
+    urls: ['<all_urls>'],
+    types: ['sub_frame']
 };
 
-// Salesforce domain patterns
-const SALESFORCE_DOMAINS = {
-    '.salesforce.com': true,
-    '.force.com': true,
-    '.lightning.force.com': true,
-    '.visualforce.com': true,
-    '.salesforce-setup.com': true
+// Id of the content script registered at runtime for the user's extra domains
+const CUSTOM_DOMAINS_SCRIPT_ID = 'custom-domains';
+
+// Resolves once the user's extra domains are loaded; domain checks that can wait, should
+const customDomainsLoaded = loadCustomDomains();
+
+// Serializes content script registration so quick successive changes cannot interleave
+let contentScriptSync = Promise.resolve();
+
+// Context menu items offered on Salesforce pages
+const ContextMenuId = {
+    OPEN_LINK: 'open-link-in-panel',
+    OPEN_OBJECT_MANAGER: 'open-object-manager',
+    SEARCH_SETUP: 'search-setup'
 };
 
-// Setup URL patterns
-const SETUP_PATTERNS = [
-    '/lightning/setup/',
-    '/setup/',
-    '/_ui/common/setup/'
-];
+// Longest selection sent to Setup search; longer selections are not search terms
+const MAX_SEARCH_LENGTH = 100;
+
+// Serializes context menu rebuilds, which remove and recreate every item
+let contextMenuSync = Promise.resolve();
+
+// How often an org that keeps being visited is recorded as seen again
+const ORG_RECORD_INTERVAL_MS = 10 * 60 * 1000;
+
+// Most suggestions offered for the omnibox keyword, and how many of them may be
+// the user's favorites and recent pages
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+const OMNIBOX_MAX_PAGE_SUGGESTIONS = 3;
+
+// Toolbar badge text per org type; the badge takes the org's banner colour
+const ORG_TYPE_BADGES = {
+    production: 'PRD',
+    sandbox: 'SBX',
+    scratch: 'SCR',
+    developer: 'DEV',
+    demo: 'DEM',
+    patch: 'PAT',
+    unknown: 'SF'
+};
 
-// Check if URL matches Salesforce domains
-function isSalesforceDomain(url) {
+// Appended to the badge while the side panel holds a Setup page for the tab
+const SETUP_BADGE_MARK = '•';
+
+// Toolbar title outside Salesforce tabs, and the start of it on them
+const ACTION_TITLE = chrome.runtime.getManifest().action.default_title;
+
+// Build the session storage key for a tab
+function getTabStateKey(tabId) {
+    return TAB_STATE_PREFIX + tabId;
+}
+
+// Read a tab's state, falling back to session storage when the worker has been restarted
+async function getTabState(tabId) {
+    if (state.tabState.has(tabId)) {
+        return state.tabState.get(tabId);
+    }
+
+    const key = getTabStateKey(tabId);
+    const stored = await chrome.storage.session.get(key);
+    const tabState = stored[key];
+    if (tabState) {
+        state.tabState.set(tabId, tabState);
+    }
+    return tabState;
+}
+
+// Merge changes into a tab's state and persist it for the browser session
+async function updateTabState(tabId, changes) {
+    const currentState = (await getTabState(tabId)) || {};
+    const nextState = {
+        ...currentState,
+        ...changes,
+        updatedAt: Date.now()
+    };
+    state.tabState.set(tabId, nextState);
+    await chrome.storage.session.set({ [getTabStateKey(tabId)]: nextState });
+    return nextState;
+}
+
+// Forget a tab's state in memory and in session storage
+async function removeTabState(tabId) {
+    state.tabState.delete(tabId);
+    await chrome.storage.session.remove(getTabStateKey(tabId));
+}
+
+// Check whether a side panel is currently open in a window
+function isPanelOpen(windowId) {
+    return state.panelChannels.has(windowId);
+}
+
+// Send a request to the side panel of a window and wait for its acknowledgement.
+// Until the panel has connected, requests are queued and flushed when it says hello.
+function sendToPanel(windowId, type, payload = {}) {
+    const channel = state.panelChannels.get(windowId);
+    if (channel) {
+        Logger.debug('Sending', type, 'to side panel in window', windowId);
+        return channel.request(type, payload);
+    }
+    
+    Logger.debug('Queueing', type, 'until the side panel in window', windowId, 'connects');
+    return new Promise((resolve, reject) => {
+        const entry = { type, payload, resolve, reject };
+        entry.timer = setTimeout(() => {
+            const queue = (state.panelQueues.get(windowId) || []).filter(queued => queued !== entry);
+            if (queue.length) {
+                state.panelQueues.set(windowId, queue);
+            } else {
+                state.panelQueues.delete(windowId);
+            }
+            reject(new Error('Side panel did not connect within ' + PANEL_CONNECT_TIMEOUT_MS + 'ms'));
+        }, PANEL_CONNECT_TIMEOUT_MS);
+        
+        const queue = state.panelQueues.get(windowId) || [];
+        queue.push(entry);
+        state.panelQueues.set(windowId, queue);
+    });
+}
+
+// Register a panel's channel for its window and deliver anything queued for it
+function registerPanel(windowId, channel) {
+    const previous = state.panelChannels.get(windowId);
+    if (previous && previous !== channel) {
+        previous.close();
+    }
+    state.panelChannels.set(windowId, channel);
+    Logger.info('Side panel connected in window', windowId);
+    refreshActionBadges({ windowId });
+    
+    const queue = state.panelQueues.get(windowId) || [];
+    state.panelQueues.delete(windowId);
+    queue.forEach((entry) => {
+        clearTimeout(entry.timer);
+        channel.request(entry.type, entry.payload).then(entry.resolve, entry.reject);
+    });
+}
+
+// Load the user's extra domains into the shared URL helpers
+async function loadCustomDomains() {
     try {
-        const hostname = new URL(url).hostname;
-        return Object.keys(SALESFORCE_DOMAINS).some(domain => hostname.endsWith(domain));
-    } catch (e) {
+        const settings = await Settings.getSettings();
+        SalesforceUrl.setCustomDomains(settings.domains.custom);
+    } catch (error) {
+        Logger.error('Error loading custom domains:', error);
+    }
+}
+
+// Check a URL sent by a content script. Content scripts only run on Salesforce and
+// granted user domains, so a URL on the sender's own origin passes even before a
+// freshly started worker has loaded the user's domains.
+function isContentScriptUrl(url, sender) {
+    return isSalesforceDomain(url) || (Boolean(sender.origin) && url.startsWith(sender.origin + '/'));
+}
+
+// Register the content script on the user's domains that have been granted. The
+// manifest's content script covers the built-in Salesforce domains.
+function syncCustomContentScripts() {
+    contentScriptSync = contentScriptSync.then(async () => {
+        const patterns = SalesforceUrl.getCustomDomains().map(SalesforceUrl.getHostPermissionPattern);
+        const granted = [];
+        for (const pattern of patterns) {
+            if (await chrome.permissions.contains({ origins: [pattern] })) {
+                granted.push(pattern);
+            }
+        }
+        
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_DOMAINS_SCRIPT_ID] });
+        if (registered.length) {
+            await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_DOMAINS_SCRIPT_ID] });
+        }
+        if (!granted.length) {
+            Logger.debug('No custom domains to inject into');
+            return;
+        }
+        
+        // Same files and frames as the manifest's content script
+        const [manifestScript] = chrome.runtime.getManifest().content_scripts;
+        await chrome.scripting.registerContentScripts([{
+            id: CUSTOM_DOMAINS_SCRIPT_ID,
+            matches: granted,
+            js: manifestScript.js,
+            css: manifestScript.css,
+            allFrames: manifestScript.all_frames,
+            runAt: 'document_idle'
+        }]);
+        Logger.info('Content script registered for custom domains', granted);
+    }).catch((error) => {
+        Logger.error('Error registering content script for custom domains:', error);
+    });
+    return contentScriptSync;
+}
+
+// Enable the side panel only on Salesforce tabs. The panel itself stays window-wide
+// and follows the active tab; other tabs simply do not offer it.
+async function updatePanelAvailability(tabId, url) {
+    await customDomainsLoaded;
+    return chrome.sidePanel.setOptions({
+        tabId,
+        enabled: isSalesforceDomain(url)
+    });
+}
+
+// Show on the toolbar icon whether a tab is on a Salesforce org, which kind of org in the
+// colour the user gave it, and whether the window's side panel holds a Setup page for it
+async function updateActionBadge(tab) {
+    await customDomainsLoaded;
+    const org = tab.url ? SalesforceUrl.getOrgInfo(tab.url) : null;
+    if (!org) {
+        await Promise.all([
+            chrome.action.setBadgeText({ tabId: tab.id, text: '' }),
+            chrome.action.setTitle({ tabId: tab.id, title: ACTION_TITLE })
+        ]);
+        return;
+    }
+    
+    const [orgLabel, tabState] = await Promise.all([
+        OrgLabels.getOrgLabel(org.orgKey),
+        getTabState(tab.id)
+    ]);
+    const holdsSetup = isPanelOpen(tab.windowId) && Boolean(tabState && isSetupUrl(tabState.panelUrl));
+    const name = (orgLabel && orgLabel.label) || org.displayName;
+    const badge = (ORG_TYPE_BADGES[org.orgType] || ORG_TYPE_BADGES.unknown) + (holdsSetup ? SETUP_BADGE_MARK : '');
+    const titleLines = [
+        ACTION_TITLE,
+        name + ' · ' + org.orgType,
+        holdsSetup ? 'Setup page open in the side panel' : 'No Setup page in the side panel'
+    ];
+    await Promise.all([
+        chrome.action.setBadgeText({ tabId: tab.id, text: badge }),
+        chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: OrgLabels.getOrgColor(org, orgLabel) }),
+        chrome.action.setTitle({ tabId: tab.id, title: titleLines.join('\n') })
+    ]);
+}
+
+// Refresh the toolbar badge of one tab, of every tab in a window, or of every tab
+function refreshActionBadges(query) {
+    // A single tab may have closed in the meantime, leaving nothing to update
+    const tabs = typeof query === 'number'
+        ? chrome.tabs.get(query).then(tab => [tab], () => [])
+        : chrome.tabs.query(query);
+    tabs.then(found => Promise.all(found.map(updateActionBadge))).catch((error) => {
+        Logger.error('Error updating toolbar badge:', error);
+    });
+}
+
+// Tell a window's open panel to switch to the tab that is now active there
+function notifyActiveTabChanged(tab) {
+    if (!isPanelOpen(tab.windowId)) {
+        return;
+    }
+    sendToPanel(tab.windowId, MessageType.ACTIVE_TAB_CHANGED, {
+        tabId: tab.id,
+        url: tab.url
+    }).catch((error) => {
+        Logger.error('Error notifying panel of active tab:', error);
+    });
+}
+
+// Send a request to every connected side panel, e.g. when the window is unknown
+function broadcastToPanels(type, payload) {
+    for (const [windowId, channel] of state.panelChannels) {
+        channel.request(type, payload).catch((error) => {
+            Logger.error('Error sending', type, 'to side panel in window', windowId, error);
+        });
+    }
+}
+
+// Frames inside the side panel do not belong to a tab; frames in Salesforce tabs are not ours
+function isPanelFrameRequest(details) {
+    return details.tabId === -1;
+}
+
+// Check whether response headers forbid showing the page inside the side panel.
+// X-Frame-Options DENY and SAMEORIGIN both exclude an extension page, as does a
+// frame-ancestors directive that does not allow chrome-extension: or *.
+function refusesFraming(responseHeaders = []) {
+    return responseHeaders.some(({ name, value = '' }) => {
+        const header = name.toLowerCase();
+        if (header === 'x-frame-options') {
+            return /^\s*(deny|sameorigin)\s*$/i.test(value);
+        }
+        if (header === 'content-security-policy') {
+            const directive = value.split(';')
+                .map(part => part.trim())
+                .find(part => part.toLowerCase().startsWith('frame-ancestors'));
+            return Boolean(directive) && !/\s(\*|chrome-extension:\S*)(\s|$)/.test(directive);
+        }
         return false;
+    });
+}
+
+// Tell the side panels that the page they asked for cannot be shown
+function reportFrameFailure(details, failure, extra = {}) {
+    const url = state.frameRequests.get(details.requestId) || details.url;
+    state.frameRequests.delete(details.requestId);
+    Logger.debug('Side panel frame failed with', failure, 'for', url);
+    broadcastToPanels(MessageType.FRAME_LOAD_FAILED, { url, failure, ...extra });
+}
+
+// Ask a context for its part of a diagnostics bundle, giving up quietly if it cannot answer
+function collectPart(request) {
+    return request.catch((error) => {
+        Logger.warn('Diagnostics part unavailable:', error);
+        return null;
+    });
+}
+
+// Build a diagnostics bundle for a bug report: recent events from the background, the
+// content scripts of Salesforce tabs and open panels, with each tab's state and URL
+// classification. Session IDs and record IDs are redacted before it leaves the worker.
+async function buildDiagnostics() {
+    await customDomainsLoaded;
+    const manifest = chrome.runtime.getManifest();
+    const [settings, sessionItems, allTabs] = await Promise.all([
+        Settings.getSettings(),
+        chrome.storage.session.get(null),
+        chrome.tabs.query({})
+    ]);
+    const salesforceTabs = allTabs.filter(tab => isSalesforceDomain(tab.url));
+    
+    // Content scripts answer from the top frame; tabs loaded before install have none
+    const contentParts = await Promise.all(salesforceTabs.map(tab => collectPart(
+        chrome.tabs.sendMessage(tab.id, { type: 'GET_DIAGNOSTICS' }, { frameId: 0 })
+    )));
+    const panelParts = await Promise.all(Array.from(state.panelChannels, ([windowId, channel]) => {
+        return collectPart(channel.request(MessageType.GET_DIAGNOSTICS))
+            .then(part => part && { windowId, ...part });
+    }));
+    
+    const events = Logger.getEntries();
+    contentParts.forEach((part, index) => {
+        if (part && Array.isArray(part.events)) {
+            events.push(...part.events.map(event => ({ ...event, tabId: salesforceTabs[index].id })));
+        }
+    });
+    panelParts.forEach((part) => {
+        if (part && Array.isArray(part.events)) {
+            events.push(...part.events.map(event => ({ ...event, windowId: part.windowId })));
+        }
+    });
+    events.sort((a, b) => a.time.localeCompare(b.time));
+    
+    const tabStates = Object.fromEntries(Object.entries(sessionItems)
+        .filter(([key]) => key.startsWith(TAB_STATE_PREFIX))
+        .map(([key, value]) => [Number(key.slice(TAB_STATE_PREFIX.length)), value]));
+    
+    return Logger.redact({
+        generatedAt: new Date().toISOString(),
+        extension: {
+            version: manifest.version,
+            chromeVersion: (navigator.userAgent.match(/Chrome\/([\d.]+)/) || [])[1] || null
+        },
+        settings,
+        tabs: salesforceTabs.map(tab => ({
+            tabId: tab.id,
+            windowId: tab.windowId,
+            active: tab.active,
+            url: tab.url,
+            classification: SalesforceUrl.classifyUrl(tab.url),
+            state: tabStates[tab.id] || null
+        })),
+        panels: panelParts.filter(Boolean).map(part => ({
+            windowId: part.windowId,
+            tabs: part.tabs,
+            frameCache: part.frameCache
+        })),
+        events
+    });
+}
+
+// Answer a request the side panel sent over its port
+async function handlePanelRequest(type, payload) {
+    // Saved panel tabs are filtered by domain, which must include the user's domains
+    await customDomainsLoaded;
+    
+    if (type === MessageType.COLLECT_DIAGNOSTICS) {
+        return { diagnostics: await buildDiagnostics() };
     }
+    
+    if (type === MessageType.GET_TAB_STATE) {
+        // The side panel has no sender tab, so it passes the tab it is showing explicitly
+        if (!payload.tabId) {
+            throw new Error('No tab ID provided');
+        }
+        const tabState = await getTabState(payload.tabId);
+        Logger.debug('Returning tab state for tab', payload.tabId, 'state:', tabState);
+        return { state: tabState };
+    }
+    
+    if (type === MessageType.PANEL_TABS_CHANGED) {
+        if (!payload.tabId) {
+            throw new Error('No tab ID provided');
+        }
+        if (!Array.isArray(payload.tabs)) {
+            throw new Error('No tabs provided');
+        }
+        
+        const panelTabs = payload.tabs.filter(tab => tab && isSalesforceDomain(tab.url));
+        const activeTab = panelTabs[payload.activeIndex];
+        
+        // Remember the panel's tabs and the page it last showed so they can be restored on reopen
+        await updateTabState(payload.tabId, {
+            panelTabs,
+            panelActiveIndex: activeTab ? payload.activeIndex : -1,
+            panelUrl: activeTab ? activeTab.url : null
+        });
+        Logger.debug('Panel tabs recorded for tab', payload.tabId);
+        refreshActionBadges(payload.tabId);
+        return { success: true };
+    }
+    
+    if (type === MessageType.OPEN_IN_ORG) {
+        if (!payload.tabId) {
+            throw new Error('No tab ID provided');
+        }
+        if (!payload.origin || !isSalesforceDomain(payload.origin)) {
+            throw new Error('Invalid Salesforce domain');
+        }
+        
+        // The page the panel last showed for the tab, or the Setup link that opened it
+        const tabState = (await getTabState(payload.tabId)) || {};
+        const link = OrgLinks.toShareableLink(tabState.panelUrl || tabState.setupUrl);
+        if (!link) {
+            throw new Error('The side panel has no page to open');
+        }
+        
+        const url = OrgLinks.resolveShareableLink(link, payload.origin);
+        await chrome.tabs.create({ url, openerTabId: payload.tabId });
+        Logger.debug('Opened', link, 'in', payload.origin, 'for tab', payload.tabId);
+        return { url };
+    }
+    
+    throw new Error('Unknown message type: ' + type);
+}
+
+// Open the side panel for a tab and load a Setup URL into it. The URL may be a promise
+// when it depends on settings that are still loading.
+// Must be called synchronously from a user gesture handler so sidePanel.open is allowed.
+async function openSetupInPanel(tab, url) {
+    const tabId = tab.id;
+    Logger.debug('Opening side panel for tab', tabId);
+    
+    // sidePanel.open runs before any await: it must run while the user gesture is still active
+    const panelOpened = chrome.sidePanel.open({ tabId });
+    const panelUrl = await url;
+    
+    // Wait for the side panel to open and the tab state to persist
+    await Promise.all([
+        updatePanelAvailability(tabId, panelUrl),
+        panelOpened,
+        updateTabState(tabId, {
+            setupActive: true,
+            setupUrl: panelUrl,
+            panelUrl
+        })
+    ]);
+    Logger.debug('Side panel opened and tab state updated for tab', tabId);
+    
+    // Resolves once the panel has acknowledged the page, however long it took to start
+    await sendToPanel(tab.windowId, MessageType.LOAD_SETUP, { url: panelUrl });
+    Logger.debug('Side panel acknowledged LOAD_SETUP');
+    return { acknowledged: true };
+}
+
+// Remember the org of a page a tab visited, for the panel's "Open same page in…" menu
+async function rememberOrg(url) {
+    await customDomainsLoaded;
+    if (!SalesforceUrl.getOrgInfo(url)) {
+        return;
+    }
+    
+    // Tracked per host, so an org first seen on its Classic host is updated once its Lightning host shows up
+    const { origin } = new URL(url);
+    const recordedAt = state.orgsRecordedAt.get(origin);
+    if (recordedAt && Date.now() - recordedAt < ORG_RECORD_INTERVAL_MS) {
+        return;
+    }
+    if (await OrgLinks.recordOrg(url)) {
+        state.orgsRecordedAt.set(origin, Date.now());
+    }
+}
+
+// URL patterns of pages the extension runs on: the Salesforce domains and the user's own
+function getSalesforcePagePatterns() {
+    const [contentScript] = chrome.runtime.getManifest().content_scripts;
+    return contentScript.matches.concat(
+        SalesforceUrl.getCustomDomains().map(SalesforceUrl.getHostPermissionPattern));
 }
 
-// Check if URL matches setup patterns
-function isSetupUrl(url) {
+// (Re)create the context menu items, scoped to Salesforce pages. Rebuilt when the
+// user's domains change, since the patterns include them.
+function createContextMenus() {
+    contextMenuSync = contextMenuSync.then(async () => {
+        const pagePatterns = getSalesforcePagePatterns();
+        // Lightning record and list pages name their object in the path
+        const objectPagePatterns = pagePatterns.flatMap(pattern => [
+            pattern.replace(/\/\*$/, '/lightning/r/*'),
+            pattern.replace(/\/\*$/, '/lightning/o/*')
+        ]);
+        
+        await chrome.contextMenus.removeAll();
+        chrome.contextMenus.create({
+            id: ContextMenuId.OPEN_LINK,
+            title: 'Open in Setup side panel',
+            contexts: ['link'],
+            documentUrlPatterns: pagePatterns,
+            targetUrlPatterns: pagePatterns
+        });
+        chrome.contextMenus.create({
+            id: ContextMenuId.OPEN_OBJECT_MANAGER,
+            title: 'Open Object Manager for this object',
+            contexts: ['page'],
+            documentUrlPatterns: objectPagePatterns
+        });
+        chrome.contextMenus.create({
+            id: ContextMenuId.SEARCH_SETUP,
+            title: 'Search Setup for \'%s\'',
+            contexts: ['selection'],
+            documentUrlPatterns: pagePatterns
+        });
+        Logger.debug('Context menus created');
+    }).catch((error) => {
+        Logger.error('Error creating context menus:', error);
+    });
+    return contextMenuSync;
+}
+
+// Check a URL picked from a page's context menu. The menus only show on Salesforce
+// pages, so a URL on the page's own origin passes before the user's domains load.
+function isContextMenuUrl(url, pageUrl) {
     try {
-        const pathname = new URL(url).pathname;
-        return SETUP_PATTERNS.some(pattern => pathname.includes(pattern));
-    } catch (e) {
+        return isSalesforceDomain(url) || new URL(url).origin === new URL(pageUrl).origin;
+    } catch (error) {
         return false;
     }
 }
 
+// Build the Object Manager URL for the object of a Lightning record or list page
+function getObjectManagerUrl(pageUrl) {
+    const { origin, objectApiName } = SalesforceUrl.classifyUrl(pageUrl);
+    return objectApiName ? SetupCatalog.buildObjectManagerUrl(origin, objectApiName, 'Details') : null;
+}
+
+// Build the URL of Setup's search results for a selection. Setup search is a Classic
+// page; Lightning hosts are swapped for the org's Classic host.
+function getSetupSearchUrl(pageUrl, selectionText) {
+    const term = (selectionText || '').trim().replace(/\s+/g, ' ');
+    if (!term || term.length > MAX_SEARCH_LENGTH) {
+        return null;
+    }
+    const origin = SetupUrlTranslation.getExperienceOrigin(new URL(pageUrl).origin, 'classic');
+    return origin + '/ui/setup/SetupSearchResultsPage?setupSearch=' + encodeURIComponent(term);
+}
+
+// Rewrite a Setup URL into the experience chosen on the options page, as content.js
+// does for a clicked Setup link
+async function getPreferredSetupUrl(url) {
+    try {
+        const settings = await Settings.getSettings();
+        return SetupUrlTranslation.translateSetupUrl(url, settings.interception.urlStyle);
+    } catch (error) {
+        Logger.error('Error loading the preferred Setup experience:', error);
+        return url;
+    }
+}
+
+// Send a context menu choice to the side panel through the same path as a clicked
+// Setup link. Runs from the click, so sidePanel.open is allowed.
+function handleContextMenuClick(info, tab) {
+    if (!tab || !tab.id || tab.id === chrome.tabs.TAB_ID_NONE) {
+        Logger.debug('Ignoring context menu click outside a tab');
+        return;
+    }
+    
+    let url = null;
+    switch (info.menuItemId) {
+        case ContextMenuId.OPEN_LINK:
+            url = info.linkUrl;
+            break;
+        case ContextMenuId.OPEN_OBJECT_MANAGER:
+            url = getObjectManagerUrl(info.pageUrl);
+            break;
+        case ContextMenuId.SEARCH_SETUP:
+            url = getSetupSearchUrl(info.pageUrl, info.selectionText);
+            break;
+        default:
+            return;
+    }
+    
+    if (!url || !isContextMenuUrl(url, info.pageUrl)) {
+        Logger.debug('Nothing to open for context menu item', info.menuItemId, 'on', info.pageUrl);
+        return;
+    }
+    
+    Logger.debug('Context menu item', info.menuItemId, 'opening', url);
+    openSetupInPanel(tab, getPreferredSetupUrl(url)).catch((error) => {
+        Logger.error('Error opening context menu choice in side panel:', error);
+    });
+}
+
+// Escape text for an omnibox suggestion description, which is XML
+function escapeOmniboxText(text) {
+    return text.replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';');
+}
+
+// Find the tab and org the omnibox keyword works against: the active tab when it is
+// on Salesforce, otherwise the org of the most recently used Salesforce tab
+async function findOmniboxTarget() {
+    await customDomainsLoaded;
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (activeTab && isSalesforceDomain(activeTab.url)) {
+        return { tab: activeTab, origin: new URL(activeTab.url).origin };
+    }
+    
+    const salesforceTabs = (await chrome.tabs.query({})).filter(tab => isSalesforceDomain(tab.url));
+    salesforceTabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return {
+        tab: null,
+        origin: salesforceTabs.length ? new URL(salesforceTabs[0].url).origin : null
+    };
+}
+
+// Build omnibox suggestions for a query: the org's favorites and recent pages that
+// match, then Setup pages from the catalog
+async function getOmniboxSuggestions(query, origin) {
+    const normalized = query.trim().toLowerCase();
+    const host = PageHistory.getOrgHost(origin);
+    const [favorites, history] = await Promise.all([
+        PageHistory.getFavorites(host),
+        PageHistory.getHistory(host)
+    ]);
+    
+    const suggestions = [];
+    const seen = new Set();
+    const add = (url, title, kind) => {
+        if (seen.has(url) || suggestions.length >= OMNIBOX_MAX_SUGGESTIONS) {
+            return;
+        }
+        seen.add(url);
+        suggestions.push({
+            content: url,
+            description: '<match>' + escapeOmniboxText(title) + '</match> <dim>' + escapeOmniboxText(kind) + '</dim>'
+        });
+    };
+    
+    const matchesPage = entry => !normalized || SetupCatalog.scoreText(normalized, entry.title) > 0;
+    favorites.filter(matchesPage).slice(0, OMNIBOX_MAX_PAGE_SUGGESTIONS)
+        .forEach(entry => add(entry.url, entry.title, 'Favorite'));
+    history.filter(matchesPage).slice(0, OMNIBOX_MAX_PAGE_SUGGESTIONS)
+        .forEach(entry => add(entry.url, entry.title, 'Recent'));
+    SetupCatalog.searchSetupNodes(normalized, OMNIBOX_MAX_SUGGESTIONS)
+        .forEach(node => add(SetupCatalog.buildSetupUrl(origin, node), node.label, node.section));
+    return suggestions;
+}
+
+// Resolve the org as soon as the keyword is entered, before the first keystroke
+function handleOmniboxInputStarted() {
+    findOmniboxTarget()
+        .then((target) => {
+            state.omniboxTarget = target;
+        })
+        .catch((error) => {
+            Logger.error('Error finding a Salesforce tab for the omnibox:', error);
+        });
+}
+
+// Offer suggestions as the user types after the keyword
+function handleOmniboxInputChanged(text, suggest) {
+    findOmniboxTarget()
+        .then(async (target) => {
+            state.omniboxTarget = target;
+            if (!target.origin) {
+                chrome.omnibox.setDefaultSuggestion({ description: 'Open a Salesforce org in a tab to search its Setup pages' });
+                suggest([]);
+                return;
+            }
+            chrome.omnibox.setDefaultSuggestion({
+                description: 'Open Setup page <match>%s</match> <dim>' + escapeOmniboxText(new URL(target.origin).hostname) + '</dim>'
+            });
+            suggest(await getOmniboxSuggestions(text, target.origin));
+        })
+        .catch((error) => {
+            Logger.error('Error building omnibox suggestions:', error);
+        });
+}
+
+// Open the accepted suggestion, or the best Setup match for typed text, in the side
+// panel of the Salesforce tab the suggestions were built for, or in a new tab when
+// no Salesforce tab is active. Runs from the user's Enter, so sidePanel.open is allowed.
+function handleOmniboxInputEntered(text, disposition) {
+    const target = state.omniboxTarget;
+    if (!target || !target.origin) {
+        Logger.debug('No Salesforce org to open', text, 'against');
+        return;
+    }
+    
+    let url = /^https?:\/\//.test(text) ? text : null;
+    if (!url && OrgLinks.isShareableLink(text)) {
+        url = OrgLinks.resolveShareableLink(text, target.origin);
+    } else if (!url) {
+        const [node] = SetupCatalog.searchSetupNodes(text.trim().toLowerCase(), 1);
+        url = node ? SetupCatalog.buildSetupUrl(target.origin, node) : null;
+    }
+    if (!url || (!isSalesforceDomain(url) && !url.startsWith(target.origin + '/'))) {
+        Logger.debug('Nothing to open for omnibox input', text);
+        return;
+    }
+    
+    Logger.debug('Omnibox opening', url, 'with disposition', disposition);
+    const pending = target.tab && disposition === 'currentTab'
+        ? openSetupInPanel(target.tab, url)
+        : chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+    pending.catch((error) => {
+        Logger.error('Error opening omnibox choice:', error);
+    });
+}
+
+// Open the side panel for a tab if needed, then send it a command
+async function sendPanelCommand(tab, type) {
+    if (!isPanelOpen(tab.windowId)) {
+        await chrome.sidePanel.open({ tabId: tab.id });
+    }
+    return sendToPanel(tab.windowId, type);
+}
+
+// Run a keyboard shortcut from the manifest's commands
+function handleCommand(command, tab) {
+    Logger.debug('Command received:', command);
+    if (!tab || !tab.id || !isSalesforceDomain(tab.url)) {
+        Logger.debug('Ignoring command outside a Salesforce tab');
+        return;
+    }
+    
+    // Each branch calls sidePanel.open (if at all) before awaiting anything
+    let pending;
+    switch (command) {
+        case 'toggle-side-panel':
+            pending = isPanelOpen(tab.windowId)
+                ? sendToPanel(tab.windowId, MessageType.CLOSE_PANEL)
+                : chrome.sidePanel.open({ tabId: tab.id });
+            break;
+        case 'focus-setup-search':
+            pending = sendPanelCommand(tab, MessageType.FOCUS_SEARCH);
+            break;
+        case 'reload-panel':
+            pending = sendPanelCommand(tab, MessageType.RELOAD_PANEL);
+            break;
+        case 'send-tab-to-panel':
+            if (!isSetupUrl(tab.url)) {
+                Logger.debug('Current tab is not on a Setup page:', tab.url);
+                return;
+            }
+            pending = openSetupInPanel(tab, tab.url);
+            break;
+        default:
+            Logger.warn('Unknown command:', command);
+            return;
+    }
+    
+    pending.catch((error) => {
+        Logger.error('Error running command', command, error);
+    });
+}
+
 // Set up event listeners
 chrome.runtime.onInstalled.addListener(async () => {
-    console.log('SF Setup Panel: Extension installed/updated');
+    Logger.info('Extension installed/updated');
     // Set side panel configuration
     try {
         await chrome.sidePanel.setOptions({
             enabled: true,
             path: 'sidepanel.html'
         });
-        console.log('SF Setup Panel: Side panel options set successfully');
+        Logger.debug('Side panel options set successfully');
+        
+        // Tabs that were open before install never fire onUpdated for their current page
+        const tabs = await chrome.tabs.query({});
+        await Promise.all(tabs.map(tab => updatePanelAvailability(tab.id, tab.url)));
+        refreshActionBadges({});
     } catch (error) {
-        console.error('SF Setup Panel: Error setting side panel options:', error);
+        Logger.error('Error setting side panel options:', error);
         // Handle error silently - will auto-retry on next startup
     }
+    
+    await customDomainsLoaded;
+    syncCustomContentScripts();
+    createContextMenus();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    customDomainsLoaded.then(syncCustomContentScripts);
+});
+
+// Follow domains added or removed on the options page, and access granted or revoked
+// from chrome://extensions
+Settings.onSettingsChanged(async (settings) => {
+    // Let the startup load land first so it cannot overwrite this change
+    await customDomainsLoaded;
+    const previous = SalesforceUrl.getCustomDomains().join('\n');
+    SalesforceUrl.setCustomDomains(settings.domains.custom);
+    if (SalesforceUrl.getCustomDomains().join('\n') === previous) {
+        return;
+    }
+    
+    Logger.info('Custom domains changed', settings.domains.custom);
+    syncCustomContentScripts();
+    createContextMenus();
+    refreshActionBadges({});
+    chrome.tabs.query({}).then((tabs) => {
+        return Promise.all(tabs.map(tab => updatePanelAvailability(tab.id, tab.url)));
+    }).catch((error) => {
+        Logger.error('Error updating side panel availability:', error);
+    });
+});
+
+// Follow org label colours chosen in the side panel
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[OrgLabels.STORAGE_KEY]) {
+        refreshActionBadges({});
+    }
+});
+
+chrome.permissions.onAdded.addListener(syncCustomContentScripts);
+chrome.permissions.onRemoved.addListener(syncCustomContentScripts);
+
+// Keep the panel's availability and content in step with the active tab
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId).then((tab) => {
+        notifyActiveTabChanged(tab);
+        return updatePanelAvailability(tab.id, tab.url);
+    }).catch((error) => {
+        Logger.error('Error handling tab activation:', error);
+    });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (!changeInfo.url) {
+        return;
+    }
+    
+    if (tab.active) {
+        notifyActiveTabChanged(tab);
+    }
+    updatePanelAvailability(tabId, changeInfo.url).catch((error) => {
+        Logger.error('Error updating side panel availability:', error);
+    });
+    rememberOrg(changeInfo.url).catch((error) => {
+        Logger.error('Error recording org:', error);
+    });
+    updateActionBadge(tab).catch((error) => {
+        Logger.error('Error updating toolbar badge:', error);
+    });
 });
 
 // Clean up when tabs are removed
 chrome.tabs.onRemoved.addListener((tabId) => {
-    console.log('SF Setup Panel: Tab removed, cleaning up state for tab', tabId);
-    state.tabState.delete(tabId);
+    Logger.debug('Tab removed, cleaning up state for tab', tabId);
+    removeTabState(tabId).catch((error) => {
+        Logger.error('Error removing tab state:', error);
+    });
 });
 
-// Handle messages from content scripts and the side panel
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener(handleCommand);
+
+// Handle context menu choices
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Handle the omnibox keyword
+chrome.omnibox.onInputStarted.addListener(handleOmniboxInputStarted);
+chrome.omnibox.onInputChanged.addListener(handleOmniboxInputChanged);
+chrome.omnibox.onInputEntered.addListener(handleOmniboxInputEntered);
+
+// Accept the side panel's long-lived port. The window is unknown until the panel says hello.
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== PANEL_PORT_NAME) {
+        return;
+    }
+    
+    let windowId = null;
+    const channel = new PortChannel(port, {
+        onRequest: (type, payload) => {
+            if (type === MessageType.HELLO) {
+                if (!payload.windowId) {
+                    throw new Error('No window ID provided');
+                }
+                windowId = payload.windowId;
+                registerPanel(windowId, channel);
+                return { success: true };
+            }
+            return handlePanelRequest(type, payload);
+        },
+        onDisconnect: () => {
+            if (windowId !== null && state.panelChannels.get(windowId) === channel) {
+                state.panelChannels.delete(windowId);
+                Logger.info('Side panel disconnected in window', windowId);
+                refreshActionBadges({ windowId });
+            }
+        }
+    });
+});
+
+// Watch side panel frames for login redirects and framing refusals
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+    if (!isPanelFrameRequest(details)) {
+        return;
+    }
+    if (!state.frameRequests.has(details.requestId)) {
+        state.frameRequests.set(details.requestId, details.url);
+    }
+    if (isLoginUrl(details.redirectUrl)) {
+        reportFrameFailure(details, FrameFailure.LOGIN_REQUIRED, { loginUrl: details.redirectUrl });
+    }
+}, FRAME_REQUEST_FILTER);
+
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+    if (!isPanelFrameRequest(details) || (details.statusCode >= 300 && details.statusCode < 400)) {
+        return;
+    }
+    if (refusesFraming(details.responseHeaders)) {
+        const failure = isLoginUrl(details.url) ? FrameFailure.LOGIN_REQUIRED : FrameFailure.FRAMING_BLOCKED;
+        reportFrameFailure(details, failure, failure === FrameFailure.LOGIN_REQUIRED ? { loginUrl: details.url } : {});
+    } else {
+        state.frameRequests.delete(details.requestId);
+    }
+}, FRAME_REQUEST_FILTER, ['responseHeaders']);
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+    state.frameRequests.delete(details.requestId);
+}, FRAME_REQUEST_FILTER);
+
+// Handle messages from content scripts, and diagnostics requests from the options page
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
-        console.log('SF Setup Panel: Background received message:', message.type);
+        Logger.debug('Background received message:', message.type);
+        
+        // Only the extension's own pages may collect diagnostics
+        if (message.type === MessageType.COLLECT_DIAGNOSTICS && !sender.tab &&
+            sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) {
+            buildDiagnostics()
+                .then((diagnostics) => sendResponse({ success: true, diagnostics }))
+                .catch((error) => {
+                    Logger.error('Error collecting diagnostics:', error);
+                    sendResponse({ error: error.message });
+                });
+            return true;
+        }
         
         // Handle direct setup link clicks from content script
         if (message.type === 'SETUP_LINK_CLICKED' && message.url) {
             const tabId = sender.tab?.id;
             if (!tabId) {
-                console.error('SF Setup Panel: No tab ID provided with SETUP_LINK_CLICKED');
+                Logger.error('No tab ID provided with SETUP_LINK_CLICKED');
                 sendResponse({ error: 'No tab ID provided' });
                 return true;
             }
             
-            console.log('SF Setup Panel: Setup link clicked in tab', tabId, 'with URL', message.url);
+            Logger.debug('Setup link clicked in tab', tabId, 'with URL', message.url);
             
             // Validate URL
-            if (!isSalesforceDomain(message.url)) {
-                console.error('SF Setup Panel: Invalid domain for URL', message.url);
+            if (!isContentScriptUrl(message.url, sender)) {
+                Logger.error('Invalid domain for URL', message.url);
                 sendResponse({ error: 'Invalid Salesforce domain' });
                 return true;
             }
             
-            // Update tab state
-            const currentState = state.tabState.get(tabId) || {};
-            state.tabState.set(tabId, {
-                ...currentState,
-                setupActive: true,
-                setupUrl: message.url
-            });
-            console.log('SF Setup Panel: Tab state updated for tab', tabId);
-            
-            // Improved error handling with retry logic
-            const openSidePanel = async () => {
-                try {
-                    console.log('SF Setup Panel: Opening side panel for tab', tabId);
-                    
-                    // Wait for the side panel to open
-                    await chrome.sidePanel.open({ tabId });
-                    console.log('SF Setup Panel: Side panel opened successfully');
-                    
-                    // Add a longer delay to ensure the side panel is fully loaded
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                    
-                    // Then try to send the message
-                    console.log('SF Setup Panel: Sending LOAD_SETUP message to side panel');
-                    await chrome.runtime.sendMessage({
-                        type: 'LOAD_SETUP',
-                        url: message.url
-                    });
-                    
-                    console.log('SF Setup Panel: Message sent successfully');
-                    sendResponse({ success: true });
-                } catch (error) {
-                    console.error('SF Setup Panel: Error opening side panel or sending message:', error);
-                    
-                    // If it's a connection error, we might want to retry once
-                    if (error.message && error.message.includes('Could not establish connection')) {
-                        console.log('SF Setup Panel: Connection error detected, retrying after delay');
-                        // Wait a bit longer and try one more time
-                        setTimeout(async () => {
-                            try {
-                                await chrome.runtime.sendMessage({
-                                    type: 'LOAD_SETUP',
-                                    url: message.url
-                                });
-                                console.log('SF Setup Panel: Retry successful');
-                                sendResponse({ success: true, retried: true });
-                            } catch (retryError) {
-                                console.error('SF Setup Panel: Retry failed:', retryError);
-                                sendResponse({ error: retryError.message });
-                            }
-                        }, 800);
-                    } else {
-                        sendResponse({ error: error.message });
-                    }
-                }
-            };
-            
-            // Execute the async function
-            openSidePanel();
+            // Open the panel and load the URL; sidePanel.open runs before any await
+            openSetupInPanel(sender.tab, message.url)
+                .then((result) => {
+                    sendResponse({ success: true, ...result });
+                    refreshActionBadges(tabId);
+                })
+                .catch((error) => {
+                    Logger.error('Error opening side panel or sending message:', error);
+                    sendResponse({ error: error.message });
+                });
             
             // Return true to indicate we'll send a response asynchronously
             return true;
@@ -150,52 +1031,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.type === 'SETUP_DETECTED' && message.url) {
             const tabId = sender.tab?.id;
             if (!tabId) {
-                console.error('SF Setup Panel: No tab ID provided with SETUP_DETECTED');
+                Logger.error('No tab ID provided with SETUP_DETECTED');
                 sendResponse({ error: 'No tab ID provided' });
                 return true;
             }
             
-            console.log('SF Setup Panel: Setup page detected in tab', tabId, 'with URL', message.url);
+            Logger.debug('Setup page detected in tab', tabId, 'with URL', message.url);
             
             // Validate URL
-            if (!isSalesforceDomain(message.url)) {
-                console.error('SF Setup Panel: Invalid domain for URL', message.url);
+            if (!isContentScriptUrl(message.url, sender)) {
+                Logger.error('Invalid domain for URL', message.url);
                 sendResponse({ error: 'Invalid Salesforce domain' });
                 return true;
             }
             
             // Update tab state
-            const currentState = state.tabState.get(tabId) || {};
-            state.tabState.set(tabId, {
-                ...currentState,
+            updateTabState(tabId, {
                 setupActive: true,
                 setupUrl: message.url
+            }).then(() => {
+                Logger.debug('Tab state updated for tab', tabId);
+                // Simply acknowledge the setup detection
+                sendResponse({ success: true });
+                refreshActionBadges(tabId);
+            }).catch((error) => {
+                Logger.error('Error updating tab state:', error);
+                sendResponse({ error: error.message });
             });
-            console.log('SF Setup Panel: Tab state updated for tab', tabId);
-            
-            // Simply acknowledge the setup detection
-            sendResponse({ success: true });
             return true;
         }
         
-        if (message.type === 'GET_TAB_STATE') {
-            const tabId = sender.tab?.id;
-            if (!tabId) {
-                console.error('SF Setup Panel: No tab ID provided with GET_TAB_STATE');
+        if (message.type === 'OBJECT_CONTEXT') {
+            const tab = sender.tab;
+            if (!tab || !tab.id) {
+                Logger.error('No tab ID provided with OBJECT_CONTEXT');
                 sendResponse({ error: 'No tab ID provided' });
                 return true;
             }
             
-            const tabState = state.tabState.get(tabId);
-            console.log('SF Setup Panel: Returning tab state for tab', tabId, 'state:', tabState);
-            sendResponse({ state: tabState });
+            const objectApiName = message.objectApiName || null;
+            Logger.debug('Object context in tab', tab.id, 'is', objectApiName);
+            
+            // Remember the object and tell an open panel so it can offer Object Manager shortcuts
+            updateTabState(tab.id, { objectApiName, objectUrl: message.url }).then(() => {
+                sendResponse({ success: true });
+                if (isPanelOpen(tab.windowId)) {
+                    sendToPanel(tab.windowId, MessageType.OBJECT_CONTEXT_CHANGED, {
+                        tabId: tab.id,
+                        objectApiName,
+                        url: message.url
+                    }).catch((error) => {
+                        Logger.error('Error notifying panel of object context:', error);
+                    });
+                }
+            }).catch((error) => {
+                Logger.error('Error updating object context:', error);
+                sendResponse({ error: error.message });
+            });
             return true;
         }
         
-        console.warn('SF Setup Panel: Unknown message type:', message.type);
+        Logger.warn('Unknown message type:', message.type);
         sendResponse({ error: 'Unknown message type' });
     } catch (e) {
-        console.error('SF Setup Panel: Error handling message:', e);
+        Logger.error('Error handling message:', e);
         // Log error but don't expose to console
         sendResponse({ error: e.message });
     }
@@ -2,30 +2,94 @@
 
 // Track extension status and observers
 let extensionActive = true;
-let currentUrl = window.location.href;
-let observer = null;
+let reportedObjectApiName;
+
+// Shared URL helpers from lib/salesforce-url.js
+const { isSalesforceDomain, isSetupUrl } = SalesforceUrl;
 
 /**
- * Salesforce domain configurations
- * @const {Object}
+ * Link interception rules from the options page, kept up to date as they change
+ * @type {Object}
  */
-const SALESFORCE_DOMAINS = {
-    '.salesforce.com': true,
-    '.force.com': true,
-    '.lightning.force.com': true,
-    '.visualforce.com': true,
-    '.salesforce-setup.com': true
-};
+let interceptionRules = Settings.DEFAULT_SETTINGS.interception;
+
+/**
+ * Origin of the extension's own pages, i.e. the side panel that may be framing this page
+ * @const {string}
+ */
+const PANEL_ORIGIN = chrome.runtime.getURL('').replace(/\/$/, '');
+
+/**
+ * Last location reported to the side panel from a panel frame
+ * @type {string|null}
+ */
+let reportedFrameUrl = null;
+
+/**
+ * Class set on the root element while compact mode is on, styled by compact.css
+ * @const {string}
+ */
+const COMPACT_ROOT_CLASS = 'sf-setup-panel-compact';
+
+/**
+ * Whether compact mode is on in this frame
+ * @type {boolean}
+ */
+let compactMode = false;
+
+/**
+ * How long reports wait for the page to settle, so a burst of route changes sends one message
+ * @const {number}
+ */
+const REPORT_DELAY_MS = 250;
+
+/**
+ * How long after a click on the Setup menu a navigation to Setup counts as caused by it
+ * @const {number}
+ */
+const SETUP_MENU_NAVIGATION_MS = 3000;
 
 /**
- * Constants for setup URL patterns
- * @const {Array}
+ * How long a new page is watched for the Setup menu to render
+ * @const {number}
  */
-const SETUP_PATTERNS = [
-    '/lightning/setup/',
-    '/setup/',
-    '/_ui/common/setup/'
-];
+const SETUP_MENU_WATCH_MS = 30000;
+
+/**
+ * Pending page report, see scheduleReport
+ * @type {number|null}
+ */
+let reportTimer = null;
+
+/**
+ * Last location reported as a Setup page
+ * @type {string|null}
+ */
+let reportedSetupUrl = null;
+
+/**
+ * When the Setup menu was last clicked, to send the Setup page it leads to to the panel
+ * @type {number}
+ */
+let setupMenuClickedAt = 0;
+
+/**
+ * Observer waiting for the Setup menu to render
+ * @type {MutationObserver|null}
+ */
+let setupMenuObserver = null;
+
+/**
+ * Pending Setup menu check, started by the first mutation after the last check
+ * @type {number|null}
+ */
+let setupMenuCheckTimer = null;
+
+/**
+ * Stops the location watcher of the top frame
+ * @type {?function(): void}
+ */
+let stopWatchingLocation = null;
 
 /**
  * Constants for DOM selectors used to detect Setup UI elements
@@ -37,59 +101,182 @@ const SETUP_SELECTORS = {
 };
 
 /**
- * Validates if a given URL belongs to a Salesforce domain
- * @param {string} url - The URL to validate
- * @returns {boolean} True if the URL belongs to a Salesforce domain
+ * Gets the object API name of a Lightning record or list page,
+ * e.g. /lightning/r/Account/001.../view or /lightning/o/Case/list
+ * @param {string} url - The URL to inspect
+ * @returns {string|null} Object API name, or null if the URL is not a record or list page
  */
-function isSalesforceDomain(url) {
-    try {
-        const hostname = new URL(url).hostname;
-        return Object.keys(SALESFORCE_DOMAINS).some(domain => hostname.endsWith(domain));
-    } catch (e) {
-        return false;
+function getObjectApiName(url) {
+    const { pageType, objectApiName } = SalesforceUrl.classifyUrl(url);
+    const isObjectPage = pageType === SalesforceUrl.PageType.RECORD ||
+                         pageType === SalesforceUrl.PageType.OBJECT_LIST;
+    return isObjectPage ? objectApiName : null;
+}
+
+/**
+ * Reports the object of the current record or list page to the background script,
+ * only when it changes
+ */
+function reportObjectContext() {
+    const objectApiName = getObjectApiName(window.location.href);
+    if (objectApiName === reportedObjectApiName) {
+        return;
     }
+    
+    reportedObjectApiName = objectApiName;
+    Logger.debug('Object context changed to', objectApiName);
+    chrome.runtime.sendMessage({
+        type: 'OBJECT_CONTEXT',
+        objectApiName,
+        url: window.location.href
+    }).catch((error) => {
+        Logger.error('Error reporting object context:', error);
+        // Allow a retry on the next URL change
+        reportedObjectApiName = undefined;
+    });
 }
 
 /**
- * Checks if the given URL is a Salesforce Setup page
- * @param {string} url - The URL to check
- * @returns {boolean} True if the URL is a Setup page
+ * Checks if this page is loaded directly in one of the side panel's frames
+ * @returns {boolean} True if the parent is the side panel
  */
-function isSetupPage(url) {
-    try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname;
-        const pathname = urlObj.pathname;
+function isPanelFrame() {
+    const ancestors = window.location.ancestorOrigins;
+    return window !== window.top && Boolean(ancestors) &&
+           ancestors.length === 1 && ancestors[0] === PANEL_ORIGIN;
+}
 
-        // Special case for salesforce-setup.com domain
-        if (hostname.endsWith('salesforce-setup.com')) {
+/**
+ * Checks if this page is inside the side panel at any depth: a panel frame, or a
+ * frame embedded by a page in one (Lightning Setup embeds many Classic pages)
+ * @returns {boolean} True if the top-most ancestor is the side panel
+ */
+function isInsidePanel() {
+    const ancestors = window.location.ancestorOrigins;
+    return window !== window.top && Boolean(ancestors) && ancestors.length > 0 &&
+           ancestors[ancestors.length - 1] === PANEL_ORIGIN;
+}
+
+/**
+ * Checks if a window is one of the frames this page embeds
+ * @param {Window} source
+ * @returns {boolean}
+ */
+function isChildFrame(source) {
+    for (let index = 0; index < window.frames.length; index++) {
+        if (window.frames[index] === source) {
             return true;
         }
+    }
+    return false;
+}
 
-        // Check if domain is valid Salesforce domain
-        if (!isSalesforceDomain(url)) {
-            return false;
-        }
+/**
+ * Builds a message for the panel or another panel frame
+ * @param {string} type - One of PanelChannel.FrameMessageType
+ * @param {Object} [payload]
+ * @returns {Object}
+ */
+function createFrameMessage(type, payload = {}) {
+    return {
+        source: PanelChannel.FRAME_MESSAGE_SOURCE,
+        v: PanelChannel.PROTOCOL_VERSION,
+        type,
+        ...payload
+    };
+}
 
-        // Check if URL matches any setup patterns
-        return SETUP_PATTERNS.some(pattern => pathname.includes(pattern));
-    } catch (error) {
-        return false;
+/**
+ * Turns compact mode on or off here and in the frames this page embeds
+ * @param {boolean} compact
+ */
+function applyCompactMode(compact) {
+    compactMode = compact;
+    document.documentElement.classList.toggle(COMPACT_ROOT_CLASS, compact);
+    
+    // Child frames may be on other Salesforce hosts; the message only carries a flag
+    const message = createFrameMessage(PanelChannel.FrameMessageType.SET_COMPACT, { compact });
+    for (let index = 0; index < window.frames.length; index++) {
+        window.frames[index].postMessage(message, '*');
     }
 }
 
 /**
- * Checks if a URL matches setup URL patterns
- * @param {string} url - The URL to check
- * @returns {boolean} True if the URL matches setup patterns
+ * Follows compact mode as set by the panel, or by the parent frame for nested frames,
+ * and tells child frames that load later what it is
  */
-function isSetupUrl(url) {
-    try {
-        const pathname = new URL(url).pathname;
-        return SETUP_PATTERNS.some(pattern => pathname.includes(pattern));
-    } catch (e) {
-        return false;
+function watchCompactMode() {
+    const { SET_COMPACT, GET_COMPACT } = PanelChannel.FrameMessageType;
+    window.addEventListener('message', (event) => {
+        const data = event.data;
+        if (!data || data.source !== PanelChannel.FRAME_MESSAGE_SOURCE || data.v !== PanelChannel.PROTOCOL_VERSION) {
+            return;
+        }
+        
+        if (data.type === SET_COMPACT && event.source === window.parent) {
+            const trusted = isPanelFrame() ? event.origin === PANEL_ORIGIN : isSalesforceDomain(event.origin);
+            if (trusted) {
+                applyCompactMode(Boolean(data.compact));
+            }
+        } else if (data.type === GET_COMPACT && isChildFrame(event.source)) {
+            event.source.postMessage(createFrameMessage(SET_COMPACT, { compact: compactMode }), event.origin);
+        }
+    });
+    
+    // The panel sends the mode after each load report; nested frames have to ask
+    if (!isPanelFrame()) {
+        window.parent.postMessage(createFrameMessage(GET_COMPACT), '*');
+    }
+}
+
+/**
+ * Answers the panel's requests for how much memory this page uses, which it shows in
+ * diagnostics for the frames it keeps warm. performance.memory covers the renderer
+ * process, which the org's other frames in the panel may share.
+ */
+function watchMemoryRequests() {
+    window.addEventListener('message', (event) => {
+        const data = event.data;
+        if (!data || data.source !== PanelChannel.FRAME_MESSAGE_SOURCE || data.v !== PanelChannel.PROTOCOL_VERSION ||
+            data.type !== PanelChannel.FrameMessageType.GET_MEMORY ||
+            event.source !== window.parent || event.origin !== PANEL_ORIGIN) {
+            return;
+        }
+        
+        const memory = performance.memory;
+        window.parent.postMessage(createFrameMessage(PanelChannel.FrameMessageType.MEMORY, {
+            usedJSHeapSize: memory ? memory.usedJSHeapSize : null,
+            totalJSHeapSize: memory ? memory.totalJSHeapSize : null
+        }), PANEL_ORIGIN);
+    });
+}
+
+/**
+ * Tells the side panel where its frame is now, once per location
+ * @param {string} navigationType - "load" for a new document, otherwise the
+ *     Navigation API type ("push", "replace", "traverse" or "reload")
+ */
+function reportFrameNavigation(navigationType) {
+    const url = window.location.href;
+    if (url === reportedFrameUrl && navigationType !== 'load') {
+        return;
     }
+    
+    reportedFrameUrl = url;
+    Logger.debug('Panel frame navigated to', url);
+    window.parent.postMessage(createFrameMessage(PanelChannel.FrameMessageType.NAVIGATED, {
+        url,
+        navigationType
+    }), PANEL_ORIGIN);
+}
+
+/**
+ * Reports the frame's location now and after every in-frame navigation,
+ * including Lightning's pushState routing
+ */
+function watchFrameNavigation() {
+    reportFrameNavigation('load');
+    watchLocationChanges(reportFrameNavigation);
 }
 
 /**
@@ -106,136 +293,282 @@ function checkForSetupMenu() {
 }
 
 /**
- * Set up link interception for setup navigation
+ * Applies the settings this script uses: link interception rules and the user's
+ * extra Salesforce domains
+ * @param {Object} settings - Complete settings
  */
-function setupLinkInterception() {
-    document.addEventListener('click', function(event) {
-        try {
-            // Find if the click was on a link or a child of a link
-            let target = event.target;
-            let href = null;
-            
-            // Find the closest anchor element or setup-specific element
-            while (target && target !== document) {
-                // Check for anchor tags
-                if (target.tagName === 'A') {
-                    href = target.href;
-                    console.log('SF Setup Panel: Link clicked with href:', href);
-                    break;
-                }
-                
-                // Check for setup-specific elements
-                if (target.matches) {
-                    if (target.matches(SETUP_SELECTORS.lightning) || 
-                        target.matches(SETUP_SELECTORS.classic) ||
-                        (target.getAttribute && target.getAttribute('data-id') === 'Setup')) {
-                        
-                        console.log('SF Setup Panel: Setup menu element clicked');
-                        
-                        // Set up an observer to detect navigation to setup page
-                        const setupObserver = new MutationObserver(() => {
-                            const currentLocation = window.location.href;
-                            console.log('SF Setup Panel: Checking if setup URL:', currentLocation);
-                            
-                            if (isSetupUrl(currentLocation)) {
-                                console.log('SF Setup Panel: Setup URL detected, opening side panel');
-                                setupObserver.disconnect();
-                                
-                                chrome.runtime.sendMessage({
-                                    type: 'SETUP_LINK_CLICKED',
-                                    url: currentLocation
-                                }).then((response) => {
-                                    console.log('SF Setup Panel: Message sent, response:', response);
-                                    // Going back is optional - commented out so the setup page itself can be used
-                                    // history.back();
-                                }).catch((error) => {
-                                    console.error('SF Setup Panel: Error sending message:', error);
-                                });
-                            }
-                        });
-                        
-                        setupObserver.observe(document, { subtree: true, childList: true });
-                        
-                        // Create a timeout to clean up observer if navigation doesn't occur
-                        const timeoutId = setTimeout(() => {
-                            try {
-                                console.log('SF Setup Panel: Cleaning up observer after timeout');
-                                setupObserver.disconnect();
-                            } catch (error) {
-                                // Error handled silently
-                            }
-                        }, 3000);
-                        return; // Let the click proceed to trigger navigation
-                    }
-                }
-                
-                target = target.parentElement;
-            }
+function applySettings(settings) {
+    interceptionRules = settings.interception;
+    SalesforceUrl.setCustomDomains(settings.domains.custom);
+}
+
+/**
+ * Loads settings and follows later changes live
+ * @returns {Promise<void>} Resolves once settings are applied, or the defaults kept
+ */
+function loadSettings() {
+    Settings.onSettingsChanged((settings) => {
+        applySettings(settings);
+        Logger.debug('Interception rules updated:', interceptionRules);
+    });
+    
+    return Settings.getSettings()
+        .then((settings) => {
+            applySettings(settings);
+            Logger.debug('Interception rules loaded:', interceptionRules);
+        })
+        .catch((error) => {
+            Logger.error('Error loading settings:', error);
+        });
+}
+
+/**
+ * Checks if the user held a modifier key that should bypass the side panel
+ * @param {MouseEvent} event - The click event
+ * @returns {boolean} True if the click should navigate normally
+ */
+function hasBypassModifier(event) {
+    return interceptionRules.bypassModifiers.some(modifier => event[modifier]);
+}
+
+/**
+ * Checks if the click was meant to open a new tab (middle-click or a target=_blank link)
+ * @param {MouseEvent} event - The click event
+ * @param {HTMLAnchorElement} anchor - The clicked link
+ * @returns {boolean} True if the user asked for a new tab
+ */
+function isNewTabIntent(event, anchor) {
+    return event.button === 1 || anchor.target === '_blank';
+}
+
+/**
+ * Applies the interception rules to a Setup link click
+ * @param {MouseEvent} event - The click event
+ * @param {HTMLAnchorElement} anchor - The clicked link
+ * @param {string} href - The link's URL
+ * @returns {boolean} True if the link should open in the side panel
+ */
+function shouldInterceptLink(event, anchor, href) {
+    if (interceptionRules.honorNewTabIntent && isNewTabIntent(event, anchor)) {
+        return false;
+    }
+    
+    const urlObj = new URL(href);
+    const path = urlObj.pathname + urlObj.search;
+    if (Settings.matchesPathPattern(path, interceptionRules.denyList)) {
+        return false;
+    }
+    if (interceptionRules.allowList.length && !Settings.matchesPathPattern(path, interceptionRules.allowList)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Rewrites a Setup URL into the experience chosen on the options page before it goes to the panel
+ * @param {string} url - The Setup URL
+ * @returns {string} The URL the panel should open
+ */
+function getPanelUrl(url) {
+    const panelUrl = SetupUrlTranslation.translateSetupUrl(url, interceptionRules.urlStyle);
+    if (panelUrl !== url) {
+        Logger.debug('Setup URL translated for the panel:', url, '->', panelUrl);
+    }
+    return panelUrl;
+}
+
+/**
+ * Sends a Setup URL to the side panel of this tab
+ * @param {string} url - The Setup URL
+ * @returns {Promise<Object>} The background's response
+ */
+function sendSetupLinkClicked(url) {
+    return chrome.runtime.sendMessage({
+        type: 'SETUP_LINK_CLICKED',
+        url: getPanelUrl(url)
+    }).then((response) => {
+        Logger.debug('Message sent, response:', response);
+        return response;
+    });
+}
+
+/**
+ * Intercepts clicks on Setup links and notes clicks on the Setup menu. This is the
+ * page's one click handler: it is delegated from the document, so links rendered
+ * later are covered without further listeners.
+ * @param {MouseEvent} event - The click or auxclick event
+ */
+function handleLinkClick(event) {
+    try {
+        // Only primary and middle clicks can navigate
+        if (event.button !== 0 && event.button !== 1) {
+            return;
+        }
+        
+        // Respect the global switch and bypass modifiers before looking at the target
+        if (!interceptionRules.enabled || hasBypassModifier(event) || !(event.target instanceof Element)) {
+            return;
+        }
+        
+        // The closest link or Setup menu element around the click
+        const target = event.target.closest('a, ' + SETUP_SELECTORS.classic + ', ' + SETUP_SELECTORS.lightning);
+        if (!target) {
+            return;
+        }
+        
+        if (target.tagName !== 'A') {
+            // Let the click navigate; the location watcher sends the Setup page it reaches
+            Logger.debug('Setup menu element clicked');
+            setupMenuClickedAt = Date.now();
+            return;
+        }
+        
+        const href = target.href;
+        Logger.debug('Link clicked with href:', href);
+        
+        // If we found a setup link the rules allow, intercept it
+        if (href && isSetupUrl(href) && shouldInterceptLink(event, target, href)) {
+            Logger.debug('Setup link clicked, intercepting:', href);
+            event.preventDefault();
+            event.stopPropagation();
             
-            // If we found a setup link, intercept it
-            if (href && isSetupUrl(href)) {
-                console.log('SF Setup Panel: Setup link clicked, intercepting:', href);
-                event.preventDefault();
-                event.stopPropagation();
-                
-                chrome.runtime.sendMessage({
-                    type: 'SETUP_LINK_CLICKED',
-                    url: href
-                }).then((response) => {
-                    console.log('SF Setup Panel: Message sent, response:', response);
-                }).catch((error) => {
-                    console.error('SF Setup Panel: Error sending message:', error);
-                    // Fall back to default navigation if messaging fails
-                    window.location.href = href;
-                });
-                
-                return false;
-            } else if (href) {
-                console.log('SF Setup Panel: Non-setup link clicked:', href);
-            }
-        } catch (error) {
-            console.error('SF Setup Panel: Error in click handler:', error);
-            // In case of error, let the default behavior happen
+            sendSetupLinkClicked(href).catch((error) => {
+                Logger.error('Error sending message:', error);
+                // Fall back to default navigation if messaging fails
+                window.location.href = href;
+            });
+        } else if (href) {
+            Logger.debug('Non-setup link clicked:', href);
         }
-    }, true);
+    } catch (error) {
+        Logger.error('Error in click handler:', error);
+        // In case of error, let the default behavior happen
+    }
 }
 
 /**
- * Checks if the current page is a Salesforce setup page and reports to background script
+ * Calls back after every same-document navigation, including Lightning's pushState routing
+ * @param {function(string): void} callback - Called with the Navigation API type
+ *     ("push", "replace", "traverse" or "reload")
+ * @returns {function(): void} Stops watching
+ */
+function watchLocationChanges(callback) {
+    // Navigation API events are shared with the page, so they see its pushState calls
+    if (window.navigation) {
+        const handleEntryChange = (event) => callback(event.navigationType || 'push');
+        window.navigation.addEventListener('currententrychange', handleEntryChange);
+        return () => window.navigation.removeEventListener('currententrychange', handleEntryChange);
+    }
+    
+    const handlePopState = () => callback('traverse');
+    const handleHashChange = () => callback('push');
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => {
+        window.removeEventListener('popstate', handlePopState);
+        window.removeEventListener('hashchange', handleHashChange);
+    };
+}
+
+/**
+ * Follows the top frame's location: sends a Setup page reached from the Setup menu to
+ * the side panel, and schedules a report of the new page
+ */
+function handleLocationChange() {
+    const url = window.location.href;
+    Logger.debug('URL changed to', url);
+    
+    if (setupMenuClickedAt && Date.now() - setupMenuClickedAt <= SETUP_MENU_NAVIGATION_MS && isSetupUrl(url)) {
+        Logger.debug('Setup URL reached from the Setup menu, opening side panel');
+        setupMenuClickedAt = 0;
+        sendSetupLinkClicked(url).catch((error) => {
+            Logger.error('Error sending message:', error);
+        });
+    }
+    scheduleReport();
+}
+
+/**
+ * Reports the page once changes have settled, so a burst of route changes sends one message
+ */
+function scheduleReport() {
+    clearTimeout(reportTimer);
+    reportTimer = setTimeout(() => {
+        reportTimer = null;
+        checkAndReportSetupPage();
+        reportObjectContext();
+    }, REPORT_DELAY_MS);
+}
+
+/**
+ * Watches a page that has no Setup menu yet until Lightning renders one. Mutations only
+ * start a timer, so a busy page costs one DOM query per REPORT_DELAY_MS at most.
+ */
+function watchForSetupMenu() {
+    if (checkForSetupMenu()) {
+        return;
+    }
+    
+    setupMenuObserver = new MutationObserver(() => {
+        if (setupMenuCheckTimer) {
+            return;
+        }
+        setupMenuCheckTimer = setTimeout(() => {
+            setupMenuCheckTimer = null;
+            if (checkForSetupMenu()) {
+                Logger.debug('Setup menu detected');
+                stopWatchingForSetupMenu();
+                scheduleReport();
+            }
+        }, REPORT_DELAY_MS);
+    });
+    setupMenuObserver.observe(document, { subtree: true, childList: true });
+    
+    // Pages that have not rendered the menu by now do not have one
+    setTimeout(stopWatchingForSetupMenu, SETUP_MENU_WATCH_MS);
+}
+
+/**
+ * Stops watching for the Setup menu
+ */
+function stopWatchingForSetupMenu() {
+    if (setupMenuObserver) {
+        setupMenuObserver.disconnect();
+        setupMenuObserver = null;
+    }
+    clearTimeout(setupMenuCheckTimer);
+    setupMenuCheckTimer = null;
+}
+
+/**
+ * Reports the current page to the background script if it is a Setup page or shows the
+ * Setup menu, once per location
  * @returns {Promise<void>}
  */
 async function checkAndReportSetupPage() {
+    const currentUrl = window.location.href;
+    if (currentUrl === reportedSetupUrl || !(isSetupUrl(currentUrl) || checkForSetupMenu())) {
+        return;
+    }
+    
+    reportedSetupUrl = currentUrl;
     try {
-        const currentUrl = window.location.href;
-        const isSetupPageNow = isSalesforceDomain(currentUrl) && 
-                             (isSetupPage(currentUrl) || checkForSetupMenu());
-        
-        if (isSetupPageNow) {
-            try {
-                console.log('SF Setup Panel: Setup page detected:', currentUrl);
-                // Use the chrome.runtime.sendMessage API instead of direct function calls
-                await chrome.runtime.sendMessage({
-                    type: 'SETUP_DETECTED',
-                    url: currentUrl
-                });
-            } catch (error) {
-                console.error('SF Setup Panel: Error reporting setup page:', error);
-                // Handle specific errors
-                if (error.message.includes('Extension context invalidated')) {
-                    cleanupExtension();
-                } else if (error.message.includes('Could not establish connection')) {
-                    // Schedule a retry after a delay
-                    setTimeout(checkAndReportSetupPage, 2000);
-                }
-            }
-        } else {
-            console.log('SF Setup Panel: Not a setup page, enabling link interception');
-            // If not on a setup page, ensure link interception is enabled
-            setupLinkInterception();
-        }
+        Logger.debug('Setup page detected:', currentUrl);
+        await chrome.runtime.sendMessage({
+            type: 'SETUP_DETECTED',
+            url: currentUrl
+        });
     } catch (error) {
-        console.error('SF Setup Panel: Error checking setup page:', error);
-        // Error handled silently
+        Logger.error('Error reporting setup page:', error);
+        // Allow the report again, on retry or the next URL change
+        reportedSetupUrl = null;
+        // Handle specific errors
+        if (error.message.includes('Extension context invalidated')) {
+            cleanupExtension();
+        } else if (error.message.includes('Could not establish connection')) {
+            // Schedule a retry after a delay
+            setTimeout(scheduleReport, 2000);
+        }
     }
 }
 
@@ -247,76 +580,109 @@ function cleanupExtension() {
     
     extensionActive = false;
     
-    // Disconnect observers
-    if (observer) {
-        observer.disconnect();
+    // Stop watching the page
+    stopWatchingForSetupMenu();
+    if (stopWatchingLocation) {
+        stopWatchingLocation();
+        stopWatchingLocation = null;
     }
+    clearTimeout(reportTimer);
     
     // Remove event listeners
-    window.removeEventListener('load', checkAndReportSetupPage);
+    document.removeEventListener('click', handleLinkClick, true);
+    document.removeEventListener('auxclick', handleLinkClick, true);
     window.removeEventListener('pagehide', handleUnload);
 }
 
 /**
- * Handles page unload events
+ * Handles page unload events. A page kept in the back/forward cache keeps its
+ * handlers, since nothing would set them up again when it is restored.
+ * @param {PageTransitionEvent} event
  */
-function handleUnload() {
-    cleanupExtension();
+function handleUnload(event) {
+    if (!event.persisted) {
+        cleanupExtension();
+    }
 }
 
-// Listen for messages from the background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+/**
+ * Answers messages from the background script
+ * @param {Object} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {function(Object): void} sendResponse
+ * @returns {boolean} True, as every message is answered
+ */
+function handleMessage(message, sender, sendResponse) {
     if (message.type === 'CHECK_FOR_SETUP') {
-        console.log('SF Setup Panel: Received CHECK_FOR_SETUP message');
+        Logger.debug('Received CHECK_FOR_SETUP message');
         sendResponse({ checked: true });
         return true;
     }
     
+    // Recent events for a diagnostics bundle; the background adds the tab's state
+    if (message.type === 'GET_DIAGNOSTICS') {
+        sendResponse({ events: Logger.getEntries() });
+        return true;
+    }
+    
     sendResponse({ error: 'Unknown message type' });
     return true;
-});
+}
 
-// Initialize the observer if we're in a Salesforce domain
-if (isSalesforceDomain(window.location.href)) {
-    console.log('SF Setup Panel: Content script initialized on Salesforce domain');
-    
-    // Create the observer
-    observer = new MutationObserver(() => {
+/**
+ * Checks whether this frame has anything to do: the top frame of a tab, or a frame in
+ * the side panel at any depth
+ * @returns {boolean}
+ */
+function shouldRunInFrame() {
+    return window === window.top || isInsidePanel();
+}
+
+/**
+ * Starts the content script for the kind of frame it was injected into
+ */
+function initialize() {
+    // Pages in the side panel only report where they are; links there navigate in place
+    if (isPanelFrame()) {
+        Logger.info('Content script initialized in a side panel frame');
+        // Listen before the load report, which the panel answers with the compact mode
+        watchCompactMode();
+        watchMemoryRequests();
+        watchFrameNavigation();
+    } else if (isInsidePanel()) {
+        // Frames embedded by a panel page follow its compact mode
+        watchCompactMode();
+    } else if (isSalesforceDomain(window.location.href)) {
+        Logger.info('Content script initialized on Salesforce domain');
+        
+        // One delegated handler for the page's lifetime; middle-clicks only fire auxclick
+        document.addEventListener('click', handleLinkClick, true);
+        document.addEventListener('auxclick', handleLinkClick, true);
+        
+        // Report the page now, then after each navigation and once the Setup menu renders
         try {
-            // Check for URL changes
-            if (window.location.href !== currentUrl) {
-                console.log('SF Setup Panel: URL changed from', currentUrl, 'to', window.location.href);
-                currentUrl = window.location.href;
-                checkAndReportSetupPage();
-            }
+            stopWatchingLocation = watchLocationChanges(handleLocationChange);
+            watchForSetupMenu();
+            checkAndReportSetupPage();
+            reportObjectContext();
             
-            // Check for DOM changes that might indicate setup elements
-            if (checkForSetupMenu()) {
-                console.log('SF Setup Panel: Setup menu detected');
-                checkAndReportSetupPage();
-            }
+            // Clean up on page unload
+            window.addEventListener('pagehide', handleUnload);
         } catch (error) {
-            console.error('SF Setup Panel: Error in observer:', error);
-            // Error handled silently
+            Logger.error('Error setting up page watchers:', error);
         }
-    });
-    
-    // Start observing DOM for changes with error handling
-    try {
-        observer.observe(document, { subtree: true, childList: true });
-        
-        // Initial check
-        checkAndReportSetupPage();
-        
-        // Also check when the page is fully loaded
-        window.addEventListener('load', checkAndReportSetupPage);
-        
-        // Clean up on page unload
-        window.addEventListener('pagehide', handleUnload);
-    } catch (error) {
-        console.error('SF Setup Panel: Error setting up observer:', error);
-        // Error handled silently
+    } else {
+        Logger.debug('Not on a Salesforce domain, content script inactive');
     }
-} else {
-    console.log('SF Setup Panel: Not on a Salesforce domain, content script inactive');
-}
\ No newline at end of file
+}
+
+// Frames inside Salesforce pages in normal tabs are covered by the script in the top
+// frame, so they stop here without loading settings or listening for messages
+if (shouldRunInFrame()) {
+    // Name this context's events and follow the log level from the options page
+    Logger.init({ source: 'content' });
+    chrome.runtime.onMessage.addListener(handleMessage);
+    
+    // The user's extra domains must be known before deciding whether this is a Salesforce page
+    loadSettings().then(initialize);
+}
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Compact mode choices per Setup node, persisted in chrome.storage.local.
+ * Compact mode hides the Salesforce header, Setup tree and app launcher in a
+ * panel frame and reflows its tables (see compact.css).
+ */
+(function (global) {
+    /**
+     * Storage key holding the choices, keyed by node key
+     * @const {string}
+     */
+    const STORAGE_KEY = 'compactModes';
+
+    /**
+     * Identifies the Setup node a page belongs to, so the choice follows the node
+     * across orgs and across pages within it (e.g. every Object Manager page)
+     * @param {string} url - Page URL
+     * @returns {string} Setup node such as "Flows" or a Classic setupid, or the page type
+     */
+    function getNodeKey(url) {
+        const { setupNode, pageType } = global.SalesforceUrl.classifyUrl(url);
+        return setupNode || pageType;
+    }
+
+    /**
+     * Reads all stored choices
+     * @returns {Promise<Object.<string, boolean>>}
+     */
+    async function getCompactModes() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return stored[STORAGE_KEY] || {};
+    }
+
+    /**
+     * Remembers whether a page's Setup node is shown compact
+     * @param {string} url - Page URL
+     * @param {boolean} compact
+     * @returns {Promise<void>}
+     */
+    async function setCompactMode(url, compact) {
+        const modes = await getCompactModes();
+        const key = getNodeKey(url);
+        if (compact) {
+            modes[key] = true;
+        } else {
+            delete modes[key];
+        }
+        await chrome.storage.local.set({ [STORAGE_KEY]: modes });
+    }
+
+    /**
+     * Looks up a page's choice in stored choices
+     * @param {Object.<string, boolean>} modes - Result of getCompactModes
+     * @param {string} url - Page URL
+     * @returns {boolean}
+     */
+    function isCompact(modes, url) {
+        return Boolean(modes[getNodeKey(url)]);
+    }
+
+    global.CompactMode = Object.freeze({
+        STORAGE_KEY,
+        getNodeKey,
+        getCompactModes,
+        setCompactMode,
+        isCompact
+    });
+})(globalThis);
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Leveled logging shared by the background service worker, content script and side panel.
+ * Nothing reaches the console unless the user picks a level on the options page, but every
+ * event is kept in a small in-memory ring buffer per context for "Copy diagnostics".
+ */
+(function (global) {
+    /**
+     * Prefix for console output, so the extension's lines stand out on Salesforce pages
+     * @const {string}
+     */
+    const PREFIX = 'SF Setup Panel: ';
+
+    /**
+     * Log levels, from quietest to most verbose
+     * @const {Object.<string, string>}
+     */
+    const LogLevel = Object.freeze({
+        OFF: 'off',
+        ERROR: 'error',
+        WARN: 'warn',
+        INFO: 'info',
+        DEBUG: 'debug'
+    });
+
+    /**
+     * Verbosity of each level; an event is printed when its rank is within the current level's
+     * @const {Object.<string, number>}
+     */
+    const LEVEL_RANK = {
+        [LogLevel.OFF]: 0,
+        [LogLevel.ERROR]: 1,
+        [LogLevel.WARN]: 2,
+        [LogLevel.INFO]: 3,
+        [LogLevel.DEBUG]: 4
+    };
+
+    /**
+     * Events kept per context; older ones are dropped
+     * @const {number}
+     */
+    const MAX_ENTRIES = 200;
+
+    /**
+     * Longest serialized detail kept with an event
+     * @const {number}
+     */
+    const MAX_DETAIL_LENGTH = 2000;
+
+    /**
+     * Matches Salesforce session IDs: the org ID, "!" and the session token
+     * @const {RegExp}
+     */
+    const SESSION_ID_PATTERN = /00D[a-zA-Z0-9]{12,15}![a-zA-Z0-9._-]+/g;
+
+    /**
+     * Matches URL parameters that carry a session or OAuth token
+     * @const {RegExp}
+     */
+    const SESSION_PARAM_PATTERN = /([?&#](?:sid|oauth_token|access_token|refresh_token|session_id)=)[^&#\s"]+/gi;
+
+    /**
+     * Matches runs of 15 or 18 alphanumerics, including right after a percent-encoded
+     * character as in ?address=%2F001...; those mixing letters and digits are record IDs
+     * @const {RegExp}
+     */
+    const RECORD_ID_PATTERN = /(?<=^|[^a-zA-Z0-9]|%[0-9a-fA-F]{2})[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?(?![a-zA-Z0-9])/g;
+
+    /**
+     * Context the events come from: "background", "content" or "panel"
+     * @type {string}
+     */
+    let source = 'unknown';
+
+    /**
+     * Current console level
+     * @type {string}
+     */
+    let level = LogLevel.OFF;
+
+    /**
+     * Recent events, oldest first, with their details as logged
+     * @type {Array<{time: number, source: string, level: string, message: *, details: Array<*>}>}
+     */
+    const entries = [];
+
+    /**
+     * Converts a logged value into something that survives JSON and a trip between contexts
+     * @param {*} value
+     * @returns {*}
+     */
+    function serializeDetail(value) {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (value === null || typeof value !== 'object') {
+            return value === undefined ? 'undefined' : value;
+        }
+        try {
+            const json = JSON.stringify(value);
+            if (json === undefined) {
+                return String(value);
+            }
+            return json.length > MAX_DETAIL_LENGTH ? json.slice(0, MAX_DETAIL_LENGTH) + '…' : JSON.parse(json);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Records an event and prints it if the current level allows. Logging runs on hot paths
+     * such as frame navigation, so details are only serialized when diagnostics are copied.
+     * @param {string} entryLevel - One of LogLevel, other than OFF
+     * @param {string} message
+     * @param {Array<*>} details - Further values logged with the message
+     */
+    function write(entryLevel, message, details) {
+        entries.push({ time: Date.now(), source, level: entryLevel, message, details });
+        if (entries.length > MAX_ENTRIES) {
+            entries.shift();
+        }
+
+        if (LEVEL_RANK[entryLevel] > LEVEL_RANK[level]) {
+            return;
+        }
+        if (entryLevel === LogLevel.ERROR) {
+            console.error(PREFIX + message, ...details);
+        } else if (entryLevel === LogLevel.WARN) {
+            console.warn(PREFIX + message, ...details);
+        } else {
+            console.log(PREFIX + message, ...details);
+        }
+    }
+
+    /**
+     * Sets the console level
+     * @param {string} nextLevel - One of LogLevel; unknown values turn output off
+     */
+    function setLevel(nextLevel) {
+        level = nextLevel in LEVEL_RANK ? nextLevel : LogLevel.OFF;
+    }
+
+    /**
+     * Names this context's events and follows the level chosen on the options page
+     * @param {Object} options
+     * @param {string} options.source - "background", "content" or "panel"
+     */
+    function init(options) {
+        source = options.source;
+        if (!global.Settings) {
+            return;
+        }
+
+        global.Settings.getSettings()
+            .then(settings => setLevel(settings.logging.level))
+            .catch(error => write(LogLevel.ERROR, 'Error loading log level:', [error]));
+        global.Settings.onSettingsChanged(settings => setLevel(settings.logging.level));
+    }
+
+    /**
+     * Copies this context's recent events
+     * @returns {Array<Object>} Events ({ time, source, level, message, details }), oldest first
+     */
+    function getEntries() {
+        return entries.map(entry => ({
+            time: new Date(entry.time).toISOString(),
+            source: entry.source,
+            level: entry.level,
+            message: String(entry.message),
+            details: entry.details.map(serializeDetail)
+        }));
+    }
+
+    /**
+     * Replaces session IDs, session tokens in URLs and record IDs in a string
+     * @param {string} text
+     * @returns {string}
+     */
+    function redactText(text) {
+        return text
+            .replace(SESSION_ID_PATTERN, '[session id]')
+            .replace(SESSION_PARAM_PATTERN, '$1[redacted]')
+            .replace(RECORD_ID_PATTERN, match => /\d/.test(match) && /[a-zA-Z]/.test(match) ? '[record id]' : match);
+    }
+
+    /**
+     * Redacts every string in a JSON-like value, for diagnostics that leave the browser
+     * @param {*} value
+     * @returns {*} A redacted copy
+     */
+    function redact(value) {
+        if (typeof value === 'string') {
+            return redactText(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(redact);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+        }
+        return value;
+    }
+
+    global.Logger = Object.freeze({
+        LogLevel,
+        init,
+        setLevel,
+        getEntries,
+        redact,
+        debug: (message, ...details) => write(LogLevel.DEBUG, message, details),
+        info: (message, ...details) => write(LogLevel.INFO, message, details),
+        warn: (message, ...details) => write(LogLevel.WARN, message, details),
+        error: (message, ...details) => write(LogLevel.ERROR, message, details)
+    });
+})(globalThis);
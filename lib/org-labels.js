@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * User-chosen labels and colours per org, persisted in chrome.storage.local.
+ * Shared by the side panel and the background service worker.
+ */
+(function (global) {
+    /**
+     * Storage key holding all org labels, keyed by org key
+     * @const {string}
+     */
+    const STORAGE_KEY = 'orgLabels';
+
+    /**
+     * Default banner colours per org type
+     * @const {Object.<string, string>}
+     */
+    const DEFAULT_COLORS = {
+        production: '#ba0517',
+        sandbox: '#2e844a',
+        scratch: '#9050e9',
+        developer: '#0b5cab',
+        demo: '#0b5cab',
+        patch: '#dd7a01',
+        unknown: '#706e6b'
+    };
+
+    /**
+     * Last pending write, so that labels changed in quick succession do not overwrite each other
+     * @type {Promise<void>}
+     */
+    let pendingWrite = Promise.resolve();
+
+    /**
+     * Runs a read-modify-write of the labels after the writes queued before it
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result
+     */
+    function queueWrite(task) {
+        const write = pendingWrite.then(task);
+        pendingWrite = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Reads all stored org labels
+     * @returns {Promise<Object.<string, {label: string, color: string}>>}
+     */
+    async function getAllOrgLabels() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return stored[STORAGE_KEY] || {};
+    }
+
+    /**
+     * Reads the label for one org
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @returns {Promise<{label: string, color: string}|undefined>}
+     */
+    async function getOrgLabel(orgKey) {
+        const labels = await getAllOrgLabels();
+        return labels[orgKey];
+    }
+
+    /**
+     * Stores the label for one org, or removes it when both fields are empty
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {{label: string, color: string}} orgLabel
+     * @returns {Promise<void>}
+     */
+    function setOrgLabel(orgKey, { label, color }) {
+        return queueWrite(async () => {
+            const labels = await getAllOrgLabels();
+            if (label || color) {
+                labels[orgKey] = { label: label || '', color: color || '' };
+            } else {
+                delete labels[orgKey];
+            }
+            await chrome.storage.local.set({ [STORAGE_KEY]: labels });
+        });
+    }
+
+    /**
+     * Resolves the colour to show for an org
+     * @param {Object} orgInfo - Result of getOrgInfo
+     * @param {{color: string}} [orgLabel] - Stored label, if any
+     * @returns {string} CSS colour
+     */
+    function getOrgColor(orgInfo, orgLabel) {
+        return (orgLabel && orgLabel.color) || DEFAULT_COLORS[orgInfo.orgType] || DEFAULT_COLORS.unknown;
+    }
+
+    global.OrgLabels = Object.freeze({
+        STORAGE_KEY,
+        DEFAULT_COLORS,
+        getAllOrgLabels,
+        getOrgLabel,
+        setOrgLabel,
+        getOrgColor
+    });
+})(globalThis);
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Org-agnostic links to Salesforce pages, and the orgs the extension has seen,
+ * persisted in chrome.storage.local. A shareable link is the page's path and
+ * query without the host, e.g. "/lightning/setup/Flows/home", so anyone can
+ * resolve it against their own org.
+ * Shared by the background service worker and the side panel.
+ */
+(function (global) {
+    /**
+     * Storage key holding the known orgs, keyed by org key
+     * @const {string}
+     */
+    const STORAGE_KEY = 'knownOrgs';
+
+    /**
+     * Hosts that serve an org's pages but not Setup, so are not recorded as its address
+     * @const {RegExp}
+     */
+    const NON_SETUP_HOST_PATTERN = /\.(vf|visualforce|content|documentforce)\.|\.site\.com$/;
+
+    /**
+     * Last pending write, so that orgs recorded at the same time do not overwrite each other
+     * @type {Promise<void>}
+     */
+    let pendingWrite = Promise.resolve();
+
+    /**
+     * Turns a Salesforce page URL into a shareable link
+     * @param {string} url - Page URL
+     * @returns {string|null} Path, query and fragment, or null if the URL is not a Salesforce page
+     */
+    function toShareableLink(url) {
+        if (!url || !global.SalesforceUrl.isSalesforceDomain(url)) {
+            return null;
+        }
+        const { pathname, search, hash } = new URL(url);
+        return pathname + search + hash;
+    }
+
+    /**
+     * Checks whether text is a shareable link: a path starting with a single "/"
+     * @param {string} text - Text typed or pasted by the user
+     * @returns {boolean}
+     */
+    function isShareableLink(text) {
+        const link = (text || '').trim();
+        return link.startsWith('/') && !link.startsWith('//') && !/\s/.test(link);
+    }
+
+    /**
+     * Resolves a shareable link against an org
+     * @param {string} link - Shareable link
+     * @param {string} origin - Org origin, e.g. "https://acme.lightning.force.com"
+     * @returns {string|null} Absolute URL, or null if the text is not a shareable link
+     */
+    function resolveShareableLink(link, origin) {
+        if (!isShareableLink(link)) {
+            return null;
+        }
+        const url = new URL(link.trim(), origin);
+        // A path can never move to another host, but check rather than trust the parser
+        return url.origin === new URL(origin).origin ? url.href : null;
+    }
+
+    /**
+     * Reads all known orgs
+     * @returns {Promise<Object.<string, {origin: string, displayName: string, orgType: string, lastSeenAt: number}>>}
+     */
+    async function getKnownOrgMap() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return stored[STORAGE_KEY] || {};
+    }
+
+    /**
+     * Lists known orgs by name. Names and types are derived again from each org's origin,
+     * so orgs stored before the classifier learned their host are shown correctly.
+     * @returns {Promise<Array<{orgKey: string, origin: string, displayName: string, orgType: string, lastSeenAt: number}>>}
+     */
+    async function getKnownOrgs() {
+        const orgs = await getKnownOrgMap();
+        return Object.entries(orgs)
+            .map(([orgKey, org]) => {
+                const info = global.SalesforceUrl.getOrgInfo(org.origin);
+                return info && info.orgKey === orgKey ?
+                    { orgKey, ...org, displayName: info.displayName, orgType: info.orgType } :
+                    { orgKey, ...org };
+            })
+            .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    }
+
+    /**
+     * Remembers the org a page belongs to. Orgs are only recorded from their My Domain
+     * hosts, preferring the Lightning host once it has been seen.
+     * @param {string} url - Page URL
+     * @returns {Promise<boolean>} True if the org was recorded
+     */
+    async function recordOrg(url) {
+        const org = global.SalesforceUrl.getOrgInfo(url);
+        if (!org || !org.myDomain || NON_SETUP_HOST_PATTERN.test(org.hostname) ||
+            global.SalesforceUrl.isLoginUrl(url)) {
+            return false;
+        }
+
+        const write = pendingWrite.then(() => writeOrg(org, new URL(url).origin));
+        pendingWrite = write.catch(() => {});
+        await write;
+        return true;
+    }
+
+    /**
+     * Adds or refreshes an org in storage
+     * @param {Object} org - getOrgInfo result
+     * @param {string} origin - Origin the org was seen on
+     * @returns {Promise<void>}
+     */
+    async function writeOrg(org, origin) {
+        const orgs = await getKnownOrgMap();
+        const known = orgs[org.orgKey];
+        const keepOrigin = known && known.origin !== origin && !org.hostname.endsWith('.lightning.force.com');
+        orgs[org.orgKey] = {
+            origin: keepOrigin ? known.origin : origin,
+            displayName: org.displayName,
+            orgType: org.orgType,
+            lastSeenAt: Date.now()
+        };
+        await chrome.storage.local.set({ [STORAGE_KEY]: orgs });
+    }
+
+    global.OrgLinks = Object.freeze({
+        STORAGE_KEY,
+        toShareableLink,
+        isShareableLink,
+        resolveShareableLink,
+        getKnownOrgs,
+        recordOrg
+    });
+})(globalThis);
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Org-scoped history and favorites of Setup pages, persisted in chrome.storage.local.
+ * Shared by the side panel and the background service worker.
+ */
+(function (global) {
+    /**
+     * Storage key prefixes; entries are stored per org host
+     * @const {Object}
+     */
+    const STORAGE_PREFIX = {
+        history: 'history:',
+        favorites: 'favorites:'
+    };
+
+    /**
+     * Maximum number of history entries kept per org
+     * @const {number}
+     */
+    const MAX_HISTORY_ENTRIES = 50;
+
+    /**
+     * Last pending write, so that changes made in quick succession do not overwrite each other
+     * @type {Promise<void>}
+     */
+    let pendingWrite = Promise.resolve();
+
+    /**
+     * Returns the org host a URL belongs to, used as the storage scope
+     * @param {string} url - Page URL
+     * @returns {string} Host name
+     */
+    function getOrgHost(url) {
+        return new URL(url).hostname;
+    }
+
+    /**
+     * Derives a readable page title from a Setup URL. Frames are cross-origin,
+     * so the document title is not available to the extension.
+     * @param {string} url - Page URL
+     * @returns {string} Page title
+     */
+    function getPageTitle(url) {
+        try {
+            const { pathname } = new URL(url);
+            const match = pathname.match(/^\/lightning\/setup\/([^/]+)/);
+            if (match) {
+                const node = global.SetupCatalog && global.SetupCatalog.getSetupNode(match[1]);
+                if (node) {
+                    return node.label;
+                }
+                // Split node names like "ManageUsers" into "Manage Users"
+                return decodeURIComponent(match[1]).replace(/([a-z])([A-Z])/g, '$1 $2');
+            }
+            return pathname === '/' ? 'Home' : pathname;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Reads a list stored under a prefix for an org
+     * @param {string} prefix - One of STORAGE_PREFIX
+     * @param {string} host - Org host
+     * @returns {Promise<Array<Object>>}
+     */
+    async function readList(prefix, host) {
+        const key = prefix + host;
+        const stored = await chrome.storage.local.get(key);
+        return stored[key] || [];
+    }
+
+    /**
+     * Writes a list stored under a prefix for an org
+     * @param {string} prefix - One of STORAGE_PREFIX
+     * @param {string} host - Org host
+     * @param {Array<Object>} entries
+     * @returns {Promise<void>}
+     */
+    async function writeList(prefix, host, entries) {
+        await chrome.storage.local.set({ [prefix + host]: entries });
+    }
+
+    /**
+     * Runs a read-modify-write of a list after the writes queued before it
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result
+     */
+    function queueWrite(task) {
+        const write = pendingWrite.then(task);
+        pendingWrite = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Records a visit to a page, most recent first and without duplicates
+     * @param {string} url - Page URL
+     * @param {string} [title] - Page title; derived from the URL when omitted
+     * @returns {Promise<Object>} The recorded entry
+     */
+    function recordVisit(url, title) {
+        const host = getOrgHost(url);
+        const entry = { url, title: title || getPageTitle(url), visitedAt: Date.now() };
+        return queueWrite(async () => {
+            const history = await readList(STORAGE_PREFIX.history, host);
+            const next = [entry]
+                .concat(history.filter(item => item.url !== url))
+                .slice(0, MAX_HISTORY_ENTRIES);
+            await writeList(STORAGE_PREFIX.history, host, next);
+            return entry;
+        });
+    }
+
+    /**
+     * Gets the recent pages for an org
+     * @param {string} host - Org host
+     * @returns {Promise<Array<Object>>} Entries, most recent first
+     */
+    function getHistory(host) {
+        return readList(STORAGE_PREFIX.history, host);
+    }
+
+    /**
+     * Gets the pinned pages for an org
+     * @param {string} host - Org host
+     * @returns {Promise<Array<Object>>} Entries in the order they were pinned
+     */
+    function getFavorites(host) {
+        return readList(STORAGE_PREFIX.favorites, host);
+    }
+
+    /**
+     * Pins a page, or unpins it if it is already a favorite
+     * @param {string} url - Page URL
+     * @param {string} [title] - Page title; derived from the URL when omitted
+     * @returns {Promise<boolean>} True if the page is now a favorite
+     */
+    function toggleFavorite(url, title) {
+        const host = getOrgHost(url);
+        return queueWrite(async () => {
+            const favorites = await readList(STORAGE_PREFIX.favorites, host);
+            const isFavorite = favorites.some(item => item.url === url);
+            const next = isFavorite
+                ? favorites.filter(item => item.url !== url)
+                : favorites.concat({ url, title: title || getPageTitle(url), pinnedAt: Date.now() });
+            await writeList(STORAGE_PREFIX.favorites, host, next);
+            return !isFavorite;
+        });
+    }
+
+    /**
+     * Checks whether a storage change affects history or favorites
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @returns {boolean}
+     */
+    function isHistoryChange(changes) {
+        return Object.keys(changes).some(key =>
+            key.startsWith(STORAGE_PREFIX.history) || key.startsWith(STORAGE_PREFIX.favorites));
+    }
+
+    global.PageHistory = Object.freeze({
+        getOrgHost,
+        getPageTitle,
+        recordVisit,
+        getHistory,
+        getFavorites,
+        toggleFavorite,
+        isHistoryChange
+    });
+})(globalThis);
@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Long-lived, versioned request/response channel between the background
+ * service worker and the side panel over a runtime port.
+ *
+ * Every message is an envelope:
+ *   { v, kind: 'request', id, type, payload }
+ *   { v, kind: 'response', id, replyTo, ok, payload | error }
+ * Requests are answered exactly once; the sender's promise settles with the
+ * response that carries its id in `replyTo`.
+ *
+ * Pages inside the panel's frames talk to the panel with window.postMessage
+ * instead: { source: FRAME_MESSAGE_SOURCE, v, type, ... } with a FrameMessageType.
+ */
+(function (global) {
+    /**
+     * Name of the port the side panel opens with runtime.connect
+     * @const {string}
+     */
+    const PANEL_PORT_NAME = 'sf-setup-panel';
+
+    /**
+     * Envelope version; bump when the shape of envelopes or payloads changes
+     * @const {number}
+     */
+    const PROTOCOL_VERSION = 1;
+
+    /**
+     * Default time to wait for a response before rejecting a request
+     * @const {number}
+     */
+    const DEFAULT_TIMEOUT_MS = 10000;
+
+    /**
+     * Message types and their payloads
+     * @const {Object.<string, string>}
+     */
+    const MessageType = {
+        // Panel -> background: { windowId, tabId } once the panel knows where it lives
+        HELLO: 'HELLO',
+        // Panel -> background: { tabId } -> { state }
+        GET_TAB_STATE: 'GET_TAB_STATE',
+        // Panel -> background: { tabId, tabs: [{ url }], activeIndex }
+        PANEL_TABS_CHANGED: 'PANEL_TABS_CHANGED',
+        // Panel -> background: no payload -> { diagnostics } for a bug report, redacted
+        COLLECT_DIAGNOSTICS: 'COLLECT_DIAGNOSTICS',
+        // Panel -> background: { tabId, origin } -> { url }; opens the tab's panel page
+        // at the same path in another org, in a new browser tab
+        OPEN_IN_ORG: 'OPEN_IN_ORG',
+        // Background -> panel: no payload -> { events, tabs } from the panel's own context
+        GET_DIAGNOSTICS: 'GET_DIAGNOSTICS',
+        // Background -> panel: { url }
+        LOAD_SETUP: 'LOAD_SETUP',
+        // Background -> panel: { tabId, objectApiName, url }
+        OBJECT_CONTEXT_CHANGED: 'OBJECT_CONTEXT_CHANGED',
+        // Background -> panel: { tabId, url } when the window's active tab or its URL changes
+        ACTIVE_TAB_CHANGED: 'ACTIVE_TAB_CHANGED',
+        // Background -> panel: { url, failure, loginUrl? } when a panel frame cannot be shown
+        FRAME_LOAD_FAILED: 'FRAME_LOAD_FAILED',
+        // Background -> panel: no payload
+        FOCUS_SEARCH: 'FOCUS_SEARCH',
+        RELOAD_PANEL: 'RELOAD_PANEL',
+        CLOSE_PANEL: 'CLOSE_PANEL'
+    };
+
+    /**
+     * Marks postMessage data sent by the content script in a side panel frame
+     * @const {string}
+     */
+    const FRAME_MESSAGE_SOURCE = 'sf-setup-panel-frame';
+
+    /**
+     * Messages between the panel and the content script in its frames
+     * @const {Object.<string, string>}
+     */
+    const FrameMessageType = {
+        // Frame -> panel: { url, navigationType } whenever the frame's location changes,
+        // including pushState routing; navigationType is "load" for a new document
+        NAVIGATED: 'FRAME_NAVIGATED',
+        // Panel -> frame, and frame -> its child frames: { compact }
+        SET_COMPACT: 'FRAME_SET_COMPACT',
+        // Child frame -> parent frame: no payload; answered with SET_COMPACT
+        GET_COMPACT: 'FRAME_GET_COMPACT',
+        // Panel -> frame: no payload; answered with MEMORY
+        GET_MEMORY: 'FRAME_GET_MEMORY',
+        // Frame -> panel: { usedJSHeapSize, totalJSHeapSize } from performance.memory,
+        // null where Chrome does not report it
+        MEMORY: 'FRAME_MEMORY'
+    };
+
+    /**
+     * Reasons a Setup page failed to load in the side panel
+     * @const {Object.<string, string>}
+     */
+    const FrameFailure = {
+        TIMEOUT: 'timeout',
+        LOGIN_REQUIRED: 'loginRequired',
+        FRAMING_BLOCKED: 'framingBlocked'
+    };
+
+    /**
+     * Generates a correlation id for a request
+     * @returns {string}
+     */
+    function createId() {
+        return global.crypto && global.crypto.randomUUID
+            ? global.crypto.randomUUID()
+            : Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    /**
+     * Wraps a runtime port with correlated requests and responses
+     */
+    class PortChannel {
+        /**
+         * Constructor
+         * @param {chrome.runtime.Port} port - Connected port
+         * @param {Object} options
+         * @param {function(string, Object): *} options.onRequest - Handles incoming requests; its
+         *     return value (or resolved promise) is the response payload, a throw becomes an error
+         * @param {function(): void} [options.onDisconnect] - Called once the port disconnects
+         * @param {number} [options.timeoutMs] - Default request timeout
+         */
+        constructor(port, { onRequest, onDisconnect = () => {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+            this.port = port;
+            this.onRequest = onRequest;
+            this.onDisconnect = onDisconnect;
+            this.timeoutMs = timeoutMs;
+            this.pending = new Map();
+            this.connected = true;
+
+            // Bind methods to maintain 'this' context
+            this.handleMessage = this.handleMessage.bind(this);
+            this.handleDisconnect = this.handleDisconnect.bind(this);
+
+            port.onMessage.addListener(this.handleMessage);
+            port.onDisconnect.addListener(this.handleDisconnect);
+        }
+
+        /**
+         * Sends a request and waits for its response
+         * @param {string} type - One of MessageType
+         * @param {Object} [payload={}]
+         * @param {Object} [options]
+         * @param {number} [options.timeoutMs] - Overrides the channel's default timeout
+         * @returns {Promise<*>} Response payload
+         */
+        request(type, payload = {}, { timeoutMs = this.timeoutMs } = {}) {
+            if (!this.connected) {
+                return Promise.reject(new Error('Port disconnected'));
+            }
+
+            const id = createId();
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(new Error(type + ' timed out after ' + timeoutMs + 'ms'));
+                }, timeoutMs);
+                this.pending.set(id, { resolve, reject, timer });
+
+                try {
+                    this.port.postMessage({ v: PROTOCOL_VERSION, kind: 'request', id, type, payload });
+                } catch (error) {
+                    clearTimeout(timer);
+                    this.pending.delete(id);
+                    reject(error);
+                }
+            });
+        }
+
+        /**
+         * Dispatches an incoming envelope
+         * @param {Object} envelope
+         */
+        handleMessage(envelope) {
+            if (!envelope || typeof envelope !== 'object') {
+                return;
+            }
+
+            if (envelope.kind === 'response') {
+                const entry = this.pending.get(envelope.replyTo);
+                if (!entry) {
+                    return;
+                }
+                this.pending.delete(envelope.replyTo);
+                clearTimeout(entry.timer);
+                if (envelope.ok) {
+                    entry.resolve(envelope.payload);
+                } else {
+                    entry.reject(new Error(envelope.error || 'Request failed'));
+                }
+                return;
+            }
+
+            if (envelope.kind !== 'request') {
+                return;
+            }
+
+            if (envelope.v !== PROTOCOL_VERSION) {
+                this.respond(envelope, false, 'Unsupported protocol version ' + envelope.v);
+                return;
+            }
+
+            Promise.resolve()
+                .then(() => this.onRequest(envelope.type, envelope.payload || {}))
+                .then(result => this.respond(envelope, true, result))
+                .catch(error => this.respond(envelope, false, error && error.message ? error.message : String(error)));
+        }
+
+        /**
+         * Answers a request
+         * @param {Object} request - The request envelope
+         * @param {boolean} ok - Whether the request succeeded
+         * @param {*} result - Response payload, or the error message when not ok
+         */
+        respond(request, ok, result) {
+            if (!this.connected) {
+                return;
+            }
+
+            const response = { v: PROTOCOL_VERSION, kind: 'response', id: createId(), replyTo: request.id, ok };
+            if (ok) {
+                response.payload = result === undefined ? {} : result;
+            } else {
+                response.error = result;
+            }
+
+            try {
+                this.port.postMessage(response);
+            } catch (error) {
+                // The other end went away between the request and the response
+            }
+        }
+
+        /**
+         * Rejects outstanding requests once the port is gone
+         */
+        handleDisconnect() {
+            this.connected = false;
+            for (const { reject, timer } of this.pending.values()) {
+                clearTimeout(timer);
+                reject(new Error('Port disconnected'));
+            }
+            this.pending.clear();
+            this.port.onMessage.removeListener(this.handleMessage);
+            this.port.onDisconnect.removeListener(this.handleDisconnect);
+            this.onDisconnect();
+        }
+
+        /**
+         * Disconnects the port from this end
+         */
+        close() {
+            if (this.connected) {
+                this.port.disconnect();
+                this.handleDisconnect();
+            }
+        }
+    }
+
+    global.PanelChannel = Object.freeze({
+        PANEL_PORT_NAME,
+        PROTOCOL_VERSION,
+        MessageType,
+        FRAME_MESSAGE_SOURCE,
+        FrameMessageType,
+        FrameFailure,
+        PortChannel
+    });
+})(globalThis);
@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * Runbooks: ordered lists of Setup pages with a note per step, persisted in
+ * chrome.storage.local, plus each org's progress through them.
+ * Shared by the side panel, which plays runbooks, and the options page, which
+ * edits, imports and exports them.
+ */
+(function (global) {
+    /**
+     * Storage key holding all runbooks, in display order
+     * @const {string}
+     */
+    const STORAGE_KEY = 'runbooks';
+
+    /**
+     * Storage key prefix for progress; progress is stored per org key
+     * @const {string}
+     */
+    const PROGRESS_PREFIX = 'runbookProgress:';
+
+    /**
+     * Identifies exported files, so unrelated JSON is rejected on import
+     * @const {string}
+     */
+    const EXPORT_FORMAT = 'sf-setup-panel-runbooks';
+
+    /**
+     * Version of the export format
+     * @const {number}
+     */
+    const EXPORT_VERSION = 1;
+
+    /**
+     * Matches a Setup node name, as in /lightning/setup/<node>/home
+     * @const {RegExp}
+     */
+    const NODE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+    /**
+     * Limits that keep imported runbooks to a sensible size
+     * @const {{nameLength: number, noteLength: number, steps: number}}
+     */
+    const LIMITS = {
+        nameLength: 80,
+        noteLength: 500,
+        steps: 100
+    };
+
+    /**
+     * Last pending write of runbooks or progress, so that changes made in quick
+     * succession do not overwrite each other
+     * @type {Promise<void>}
+     */
+    let pendingWrite = Promise.resolve();
+
+    /**
+     * Runs a read-modify-write after the writes queued before it
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result
+     */
+    function queueWrite(task) {
+        const write = pendingWrite.then(task);
+        pendingWrite = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Creates an id for a new runbook
+     * @returns {string}
+     */
+    function createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Validates a runbook and reduces it to its known fields
+     * @param {Object} raw - Runbook as edited or imported
+     * @returns {{id: string, name: string, steps: Array<{node: string, note: string}>}}
+     * @throws {Error} If the runbook is not valid, naming the first problem
+     */
+    function normalizeRunbook(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('A runbook must be an object');
+        }
+
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name || name.length > LIMITS.nameLength) {
+            throw new Error('A runbook needs a name of up to ' + LIMITS.nameLength + ' characters');
+        }
+        if (!Array.isArray(raw.steps) || !raw.steps.length || raw.steps.length > LIMITS.steps) {
+            throw new Error('"' + name + '" needs between 1 and ' + LIMITS.steps + ' steps');
+        }
+
+        const steps = raw.steps.map((step, index) => {
+            const node = step && typeof step.node === 'string' ? step.node.trim() : '';
+            if (!NODE_PATTERN.test(node)) {
+                throw new Error('Step ' + (index + 1) + ' of "' + name + '" needs a Setup node such as "ManageUsers"');
+            }
+            const note = step && typeof step.note === 'string' ? step.note.trim().slice(0, LIMITS.noteLength) : '';
+            return { node, note };
+        });
+
+        return { id: typeof raw.id === 'string' && raw.id ? raw.id : createId(), name, steps };
+    }
+
+    /**
+     * Reads all runbooks
+     * @returns {Promise<Array<Object>>}
+     */
+    async function getRunbooks() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return stored[STORAGE_KEY] || [];
+    }
+
+    /**
+     * Adds a runbook, or replaces the one with the same id
+     * @param {Object} runbook - Runbook to validate and store
+     * @returns {Promise<Object>} The stored runbook
+     */
+    async function saveRunbook(runbook) {
+        const normalized = normalizeRunbook(runbook);
+        return queueWrite(async () => {
+            const runbooks = await getRunbooks();
+            const index = runbooks.findIndex(item => item.id === normalized.id);
+            if (index === -1) {
+                runbooks.push(normalized);
+            } else {
+                runbooks[index] = normalized;
+            }
+            await chrome.storage.local.set({ [STORAGE_KEY]: runbooks });
+            return normalized;
+        });
+    }
+
+    /**
+     * Removes a runbook. Progress recorded against it is dropped when next saved.
+     * @param {string} id - Runbook id
+     * @returns {Promise<void>}
+     */
+    function deleteRunbook(id) {
+        return queueWrite(async () => {
+            const runbooks = await getRunbooks();
+            await chrome.storage.local.set({ [STORAGE_KEY]: runbooks.filter(item => item.id !== id) });
+        });
+    }
+
+    /**
+     * Serializes runbooks for sharing. Ids are left out; they are local to one browser.
+     * @param {Array<Object>} runbooks - Runbooks to export
+     * @returns {string} JSON text
+     */
+    function exportRunbooks(runbooks) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            runbooks: runbooks.map(({ name, steps }) => ({ name, steps }))
+        }, null, 2);
+    }
+
+    /**
+     * Imports runbooks from exported JSON. A runbook replaces an existing one
+     * with the same name, so re-importing a shared file updates it.
+     * @param {string} text - JSON text from exportRunbooks
+     * @returns {Promise<number>} Number of runbooks imported
+     * @throws {Error} If the file is not a runbook export, any runbook is invalid or two
+     *     runbooks share a name
+     */
+    async function importRunbooks(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.runbooks)) {
+            throw new Error('The file is not a runbook export');
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('The file was exported by a newer version of the extension');
+        }
+
+        // Validate everything before storing anything
+        const imported = data.runbooks.map(item => normalizeRunbook(item && { name: item.name, steps: item.steps }));
+        const names = new Set();
+        for (const runbook of imported) {
+            if (names.has(runbook.name)) {
+                throw new Error('The file has more than one runbook named "' + runbook.name + '"');
+            }
+            names.add(runbook.name);
+        }
+        return queueWrite(async () => {
+            const runbooks = await getRunbooks();
+            for (const runbook of imported) {
+                const index = runbooks.findIndex(item => item.name === runbook.name);
+                if (index === -1) {
+                    runbooks.push(runbook);
+                } else {
+                    runbooks[index] = { ...runbook, id: runbooks[index].id };
+                }
+            }
+            await chrome.storage.local.set({ [STORAGE_KEY]: runbooks });
+            return imported.length;
+        });
+    }
+
+    /**
+     * Reads an org's progress through all runbooks
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @returns {Promise<{activeId: (string|null), runbooks: Object.<string, {current: number, done: Array<number>}>}>}
+     */
+    async function getProgress(orgKey) {
+        const key = PROGRESS_PREFIX + orgKey;
+        const stored = await chrome.storage.local.get(key);
+        return { activeId: null, runbooks: {}, ...(stored[key] || {}) };
+    }
+
+    /**
+     * Applies a change to an org's progress and stores the result
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {function(Object): void} change - Mutates the progress read by getProgress
+     * @returns {Promise<Object>} Progress after the change
+     */
+    function updateProgress(orgKey, change) {
+        return queueWrite(async () => {
+            const progress = await getProgress(orgKey);
+            change(progress);
+
+            // Forget progress for runbooks that no longer exist
+            const ids = new Set((await getRunbooks()).map(runbook => runbook.id));
+            for (const id of Object.keys(progress.runbooks)) {
+                if (!ids.has(id)) {
+                    delete progress.runbooks[id];
+                }
+            }
+            await chrome.storage.local.set({ [PROGRESS_PREFIX + orgKey]: progress });
+            return progress;
+        });
+    }
+
+    /**
+     * Gets an org's progress through one runbook
+     * @param {Object} progress - Result of getProgress
+     * @param {string} runbookId - Runbook id
+     * @returns {{current: number, done: Array<number>}}
+     */
+    function getRunbookProgress(progress, runbookId) {
+        return { current: 0, done: [], ...(progress.runbooks[runbookId] || {}) };
+    }
+
+    /**
+     * Chooses the runbook an org is working through
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {string|null} runbookId - Runbook id, or null for none
+     * @returns {Promise<Object>} Progress after the change
+     */
+    function setActiveRunbook(orgKey, runbookId) {
+        return updateProgress(orgKey, progress => {
+            progress.activeId = runbookId;
+        });
+    }
+
+    /**
+     * Remembers the step an org is on
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {string} runbookId - Runbook id
+     * @param {number} stepIndex - Zero-based step index
+     * @returns {Promise<Object>} Progress after the change
+     */
+    function setCurrentStep(orgKey, runbookId, stepIndex) {
+        return updateProgress(orgKey, progress => {
+            progress.runbooks[runbookId] = { ...getRunbookProgress(progress, runbookId), current: stepIndex };
+        });
+    }
+
+    /**
+     * Ticks or unticks a step for an org
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {string} runbookId - Runbook id
+     * @param {number} stepIndex - Zero-based step index
+     * @param {boolean} done
+     * @returns {Promise<Object>} Progress after the change
+     */
+    function setStepDone(orgKey, runbookId, stepIndex, done) {
+        return updateProgress(orgKey, progress => {
+            const runbookProgress = getRunbookProgress(progress, runbookId);
+            const others = runbookProgress.done.filter(index => index !== stepIndex);
+            runbookProgress.done = done ? others.concat(stepIndex).sort((a, b) => a - b) : others;
+            progress.runbooks[runbookId] = runbookProgress;
+        });
+    }
+
+    /**
+     * Clears an org's ticks for a runbook and returns it to the first step
+     * @param {string} orgKey - Org key from getOrgInfo
+     * @param {string} runbookId - Runbook id
+     * @returns {Promise<Object>} Progress after the change
+     */
+    function resetProgress(orgKey, runbookId) {
+        return updateProgress(orgKey, progress => {
+            delete progress.runbooks[runbookId];
+        });
+    }
+
+    /**
+     * Checks whether a storage change affects runbooks or progress
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @returns {boolean}
+     */
+    function isRunbookChange(changes) {
+        return Object.keys(changes).some(key => key === STORAGE_KEY || key.startsWith(PROGRESS_PREFIX));
+    }
+
+    global.Runbooks = Object.freeze({
+        STORAGE_KEY,
+        normalizeRunbook,
+        getRunbooks,
+        saveRunbook,
+        deleteRunbook,
+        exportRunbooks,
+        importRunbooks,
+        getProgress,
+        getRunbookProgress,
+        setActiveRunbook,
+        setCurrentStep,
+        setStepDone,
+        resetProgress,
+        isRunbookChange
+    });
+})(globalThis);
@@ -0,0 +1,428 @@
+'use strict';
+
+/**
+ * Salesforce URL classification shared by the background service worker,
+ * content script and side panel.
+ */
+(function (global) {
+    /**
+     * Salesforce domain configurations
+     * @const {Array<string>}
+     */
+    const SALESFORCE_DOMAINS = [
+        '.salesforce.com',
+        '.force.com',
+        '.lightning.force.com',
+        '.visualforce.com',
+        '.salesforce-setup.com'
+    ];
+
+    /**
+     * Extra domain patterns added by the user on the options page: "*.example.com" for a
+     * domain and its subdomains, or a single host. Each context loads them from settings.
+     * @type {Array<string>}
+     */
+    let customDomains = [];
+
+    /**
+     * My Domain qualifiers that appear between the org name and the base domain,
+     * e.g. acme--uat.sandbox.my.salesforce.com, mapped to the org type they indicate
+     * @const {Object.<string, string>}
+     */
+    const ORG_TYPE_QUALIFIERS = {
+        sandbox: 'sandbox',
+        scratch: 'scratch',
+        develop: 'developer',
+        trailblaze: 'developer',
+        demo: 'demo',
+        patch: 'patch'
+    };
+
+    /**
+     * Page types returned by classifyUrl
+     * @const {Object.<string, string>}
+     */
+    const PageType = {
+        SETUP: 'setup',
+        OBJECT_MANAGER: 'objectManager',
+        RECORD: 'record',
+        OBJECT_LIST: 'objectList',
+        VISUALFORCE: 'visualforce',
+        EXPERIENCE_SITE: 'experienceSite',
+        LOGIN: 'login',
+        OTHER: 'other'
+    };
+
+    /**
+     * Classic Setup path prefixes
+     * @const {Array<string>}
+     */
+    const CLASSIC_SETUP_PREFIXES = ['/setup/', '/_ui/common/setup/', '/ui/setup/', '/p/setup/'];
+
+    /**
+     * Hosts that only serve the login page
+     * @const {Array<string>}
+     */
+    const LOGIN_HOSTS = ['login.salesforce.com', 'test.salesforce.com'];
+
+    /**
+     * Matches a 15 or 18 character Salesforce record ID
+     * @const {RegExp}
+     */
+    const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+    /**
+     * Matches legacy instance names such as na123, cs42 or eu5s
+     * @const {RegExp}
+     */
+    const INSTANCE_PATTERN = /^(?:na|eu|ap|cs|um|gs|usa|can|aus|ind|jpn|sgp|deu|fra|gbr)\d+s?$/;
+
+    /**
+     * Parses a URL, returning null instead of throwing for invalid input
+     * @param {string} url
+     * @returns {URL|null}
+     */
+    function parseUrl(url) {
+        try {
+            return new URL(url);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Validates if a hostname belongs to a Salesforce domain
+     * @param {string} hostname - Host name to check
+     * @returns {boolean}
+     */
+    function isSalesforceHost(hostname) {
+        const host = hostname.toLowerCase();
+        return SALESFORCE_DOMAINS.some(domain => host.endsWith(domain)) ||
+            customDomains.some(pattern => matchesDomainPattern(host, pattern));
+    }
+
+    /**
+     * Checks a host name against a user domain pattern
+     * @param {string} hostname - Lower-case host name
+     * @param {string} pattern - Normalized pattern, "*.example.com" or "host.example.com"
+     * @returns {boolean}
+     */
+    function matchesDomainPattern(hostname, pattern) {
+        if (pattern.startsWith('*.')) {
+            const domain = pattern.slice(2);
+            return hostname === domain || hostname.endsWith('.' + domain);
+        }
+        return hostname === pattern;
+    }
+
+    /**
+     * Normalizes a domain typed by the user. Accepts "*.example.com", ".example.com",
+     * a bare host, or a pasted URL or match pattern, whose host is kept.
+     * @param {string} input
+     * @returns {string|null} "*.example.com" or "host.example.com", or null if the input
+     *     is not a valid domain
+     */
+    function normalizeDomainPattern(input) {
+        const value = String(input || '').trim().toLowerCase()
+            .replace(/^[a-z*]+:\/\//, '')
+            .replace(/[/:?#].*$/, '');
+        const wildcard = value.startsWith('*.') || value.startsWith('.');
+        const host = value.replace(/^\*?\./, '');
+        if (!/^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9]$/.test(host)) {
+            return null;
+        }
+        return wildcard ? '*.' + host : host;
+    }
+
+    /**
+     * Builds the host permission and content script match pattern for a user domain
+     * @param {string} pattern - Normalized domain pattern
+     * @returns {string} e.g. "*://*.example.com/*"
+     */
+    function getHostPermissionPattern(pattern) {
+        return '*://' + pattern + '/*';
+    }
+
+    /**
+     * Replaces the user's extra domains. Invalid entries are dropped.
+     * @param {Array<string>} domains - Domain patterns from settings
+     */
+    function setCustomDomains(domains) {
+        customDomains = (domains || []).map(normalizeDomainPattern).filter(Boolean);
+    }
+
+    /**
+     * The user's extra domains currently in effect
+     * @returns {Array<string>} Normalized domain patterns
+     */
+    function getCustomDomains() {
+        return customDomains.slice();
+    }
+
+    /**
+     * Validates if a given URL belongs to a Salesforce domain
+     * @param {string} url - The URL to validate
+     * @returns {boolean} True if the URL belongs to a Salesforce domain
+     */
+    function isSalesforceDomain(url) {
+        const parsed = parseUrl(url);
+        return Boolean(parsed) && isSalesforceHost(parsed.hostname);
+    }
+
+    /**
+     * Checks whether a path segment looks like a record ID rather than an object API name.
+     * Object names never consist of exactly 15 or 18 alphanumerics that include a digit.
+     * @param {string} segment
+     * @returns {boolean}
+     */
+    function isRecordId(segment) {
+        return RECORD_ID_PATTERN.test(segment) && /\d/.test(segment);
+    }
+
+    /**
+     * Checks whether a parsed Salesforce URL is a login page: the login hosts, My Domain
+     * login redirects (/?ec=302&startURL=...) and frontdoor.jsp without a session to hand over
+     * @param {URL} parsed
+     * @returns {boolean}
+     */
+    function isLoginPage(parsed) {
+        const path = parsed.pathname;
+        if (LOGIN_HOSTS.includes(parsed.hostname.toLowerCase())) {
+            return true;
+        }
+        if (path === '/secur/frontdoor.jsp') {
+            return !parsed.searchParams.has('sid');
+        }
+        if (path === '/secur/login_portal.jsp') {
+            return true;
+        }
+        return path === '/' && (parsed.searchParams.has('ec') || parsed.searchParams.has('startURL'));
+    }
+
+    /**
+     * Identifies the org a Salesforce URL belongs to from its hostname
+     * @param {string} url - The URL to inspect
+     * @returns {Object|null} Org details ({ hostname, myDomain, sandboxName, orgType, orgKey,
+     *     displayName }), or null if the URL is not on a Salesforce domain
+     */
+    function getOrgInfo(url) {
+        if (!isSalesforceDomain(url)) {
+            return null;
+        }
+
+        const hostname = new URL(url).hostname.toLowerCase();
+        const [firstLabel, secondLabel] = hostname.split('.');
+        let name = firstLabel;
+
+        // Visualforce and content hosts append the package namespace: acme--c.vf.force.com
+        if (/\.(vf|visualforce|content|documentforce)\./.test(hostname) && name.includes('--')) {
+            name = name.slice(0, name.lastIndexOf('--'));
+        }
+
+        let orgType = ORG_TYPE_QUALIFIERS[secondLabel] || 'production';
+        let myDomain = name;
+        let sandboxName = null;
+
+        // Sandboxes without enhanced domains have no qualifier: acme--uat.my.salesforce.com
+        if (orgType === 'production' && name.includes('--') &&
+            /\.(my\.salesforce|lightning\.force)\.com$/.test(hostname)) {
+            orgType = 'sandbox';
+        }
+
+        if (orgType === 'sandbox') {
+            [myDomain, sandboxName] = name.split('--');
+        } else if (orgType === 'production' && name.endsWith('-dev-ed')) {
+            // Legacy Developer Edition domains: acme-dev-ed.my.salesforce.com. Scratch org
+            // names end the same way but carry the scratch qualifier.
+            orgType = 'developer';
+        } else if (!hostname.includes('.my.') && !hostname.includes('.lightning.force.com') &&
+                   !hostname.includes('.vf.force.com')) {
+            // Instance hosts (na123.salesforce.com, cs42.salesforce.com) and login hosts
+            // do not identify an org on their own
+            myDomain = null;
+            orgType = /^cs\d+$/.test(name) ? 'sandbox' : 'unknown';
+        }
+
+        const orgKey = myDomain ? (sandboxName ? myDomain + '--' + sandboxName : myDomain) : hostname;
+        const displayName = myDomain ? (sandboxName ? myDomain + ' (' + sandboxName + ')' : myDomain) : hostname;
+
+        return { hostname, myDomain, sandboxName, orgType, orgKey, displayName };
+    }
+
+    /**
+     * Classifies a URL into a structured description of the Salesforce page it points to
+     * @param {string} url - The URL to classify
+     * @returns {Object} Classification:
+     *     - isSalesforce {boolean}: host is a Salesforce domain
+     *     - host, origin {string|null}
+     *     - instance {string|null}: legacy instance name, e.g. "na123"
+     *     - org {Object|null}: getOrgInfo result
+     *     - experience {"lightning"|"classic"|null}
+     *     - pageType {string}: one of PageType
+     *     - setupNode {string|null}: e.g. "Flows" or, for Classic, the setupid
+     *     - objectApiName, objectManagerSection, recordId {string|null}
+     *     - visualforcePage {string|null}
+     */
+    function classifyUrl(url) {
+        const result = {
+            isSalesforce: false,
+            host: null,
+            origin: null,
+            instance: null,
+            org: null,
+            experience: null,
+            pageType: PageType.OTHER,
+            setupNode: null,
+            objectApiName: null,
+            objectManagerSection: null,
+            recordId: null,
+            visualforcePage: null
+        };
+
+        const parsed = parseUrl(url);
+        if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+            return result;
+        }
+
+        const hostname = parsed.hostname.toLowerCase();
+        const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                return segment;
+            }
+        });
+
+        result.host = hostname;
+        result.origin = parsed.origin;
+        result.isSalesforce = isSalesforceHost(hostname);
+        result.instance = hostname.split('.').find(label => INSTANCE_PATTERN.test(label)) || null;
+        result.org = result.isSalesforce ? getOrgInfo(url) : null;
+
+        if (!result.isSalesforce) {
+            return result;
+        }
+
+        // Experience Cloud sites: *.my.site.com when added as a domain, *.force.com/<site>/s/...,
+        // or any /s/ route
+        const siteIndex = segments.indexOf('s');
+        if (hostname.endsWith('.site.com') || (siteIndex !== -1 && siteIndex <= 1 && !hostname.includes('.lightning.'))) {
+            result.pageType = PageType.EXPERIENCE_SITE;
+            result.experience = 'lightning';
+            return result;
+        }
+
+        if (isLoginPage(parsed)) {
+            result.pageType = PageType.LOGIN;
+            return result;
+        }
+
+        const isLightning = segments[0] === 'lightning' || segments[0] === 'one' ||
+            hostname.includes('.lightning.force.com');
+        result.experience = isLightning ? 'lightning' : 'classic';
+
+        // Lightning Setup: /lightning/setup/<Node>/... and Object Manager
+        if (segments[0] === 'lightning' && segments[1] === 'setup' && segments[2]) {
+            result.setupNode = segments[2];
+            result.pageType = PageType.SETUP;
+            if (segments[2] === 'ObjectManager') {
+                result.pageType = PageType.OBJECT_MANAGER;
+                if (segments[3] && segments[3] !== 'home') {
+                    result.objectApiName = segments[3];
+                    result.objectManagerSection = segments[4] || null;
+                }
+            }
+            return result;
+        }
+
+        // Lightning record pages: /lightning/r/<Object>/<Id>/view or /lightning/r/<Id>/view
+        if (segments[0] === 'lightning' && segments[1] === 'r' && segments[2]) {
+            result.pageType = PageType.RECORD;
+            if (isRecordId(segments[2])) {
+                result.recordId = segments[2];
+            } else {
+                result.objectApiName = segments[2];
+                result.recordId = segments[3] && isRecordId(segments[3]) ? segments[3] : null;
+            }
+            return result;
+        }
+
+        // Lightning object home and list views: /lightning/o/<Object>/list
+        if (segments[0] === 'lightning' && segments[1] === 'o' && segments[2]) {
+            result.pageType = PageType.OBJECT_LIST;
+            result.objectApiName = segments[2];
+            return result;
+        }
+
+        // Visualforce: dedicated hosts or /apex/<Page>
+        if (/\.(vf\.force|visualforce)\.com$/.test(hostname) || segments[0] === 'apex') {
+            result.pageType = PageType.VISUALFORCE;
+            result.visualforcePage = segments[0] === 'apex' && segments[1] ? segments[1] : null;
+            // Setup pages rendered through Visualforce still carry a setupid
+            const vfSetupId = parsed.searchParams.get('setupid');
+            if (vfSetupId) {
+                result.pageType = PageType.SETUP;
+                result.setupNode = vfSetupId;
+            }
+            return result;
+        }
+
+        // The dedicated Setup domain only serves Setup
+        if (hostname.endsWith('.salesforce-setup.com')) {
+            result.pageType = PageType.SETUP;
+            return result;
+        }
+
+        // Classic Setup: known prefixes, or any page opened from the Setup tree (?setupid=...)
+        const setupId = parsed.searchParams.get('setupid');
+        const path = parsed.pathname;
+        if (setupId || CLASSIC_SETUP_PREFIXES.some(prefix => path.startsWith(prefix))) {
+            result.pageType = PageType.SETUP;
+            result.setupNode = setupId;
+            return result;
+        }
+
+        // Classic record pages: /<Id>
+        if (!isLightning && segments.length === 1 && isRecordId(segments[0])) {
+            result.pageType = PageType.RECORD;
+            result.recordId = segments[0];
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks if the given URL is a Salesforce Setup page (including Object Manager)
+     * @param {string} url - The URL to check
+     * @returns {boolean} True if the URL is a Setup page
+     */
+    function isSetupUrl(url) {
+        const { pageType } = classifyUrl(url);
+        return pageType === PageType.SETUP || pageType === PageType.OBJECT_MANAGER;
+    }
+
+    /**
+     * Checks if the given URL is a Salesforce login page
+     * @param {string} url - The URL to check
+     * @returns {boolean} True if the URL asks the user to log in
+     */
+    function isLoginUrl(url) {
+        return classifyUrl(url).pageType === PageType.LOGIN;
+    }
+
+    global.SalesforceUrl = Object.freeze({
+        SALESFORCE_DOMAINS,
+        PageType,
+        isSalesforceHost,
+        isSalesforceDomain,
+        normalizeDomainPattern,
+        getHostPermissionPattern,
+        setCustomDomains,
+        getCustomDomains,
+        isSetupUrl,
+        isLoginUrl,
+        isRecordId,
+        getOrgInfo,
+        classifyUrl
+    });
+})(globalThis);
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * User settings, persisted in chrome.storage.sync so they follow the user across browsers.
+ * Shared by the background service worker, content script, side panel and options page.
+ */
+(function (global) {
+    /**
+     * Storage key holding the settings object
+     * @const {string}
+     */
+    const STORAGE_KEY = 'settings';
+
+    /**
+     * Default settings. Stored settings are merged over these per section,
+     * so new options get their defaults without a migration.
+     * @const {Object}
+     */
+    const DEFAULT_SETTINGS = {
+        interception: {
+            // Master switch for sending Setup links to the side panel
+            enabled: true,
+            // Modifier keys that let a click through to normal navigation
+            bypassModifiers: ['ctrlKey', 'metaKey', 'shiftKey'],
+            // Let middle-clicks and target=_blank links open a new tab
+            honorNewTabIntent: true,
+            // Setup path patterns; when non-empty, only matching links go to the panel
+            allowList: [],
+            // Setup path patterns that never go to the panel
+            denyList: [],
+            // Experience intercepted links open in: "asLinked", "lightning" or "classic".
+            // When one is chosen, Classic and Lightning links with a known equivalent are rewritten.
+            urlStyle: 'asLinked'
+        },
+        panel: {
+            // Seconds to wait for a Setup page to load before offering recovery actions
+            loadTimeoutSeconds: 30,
+            // Recently used Setup frames kept loaded but hidden for instant switching; 0 keeps none
+            warmFrames: 3
+        },
+        domains: {
+            // Extra Salesforce hosts ("*.example.com" or a single host), each granted
+            // as an optional host permission when added on the options page
+            custom: []
+        },
+        logging: {
+            // Console output level: "off", "error", "warn", "info" or "debug".
+            // Events are kept for diagnostics whatever the level.
+            level: 'off'
+        }
+    };
+
+    /**
+     * Allowed ranges of numeric settings per section, matching the inputs on the options page
+     * @const {Object.<string, Object.<string, {min: number, max: number}>>}
+     */
+    const NUMBER_RANGES = {
+        panel: {
+            loadTimeoutSeconds: { min: 5, max: 300 },
+            warmFrames: { min: 0, max: 10 }
+        }
+    };
+
+    /**
+     * Brings a numeric setting into its range. Anything that is not a number, such as
+     * an empty or invalid input, falls back to the default.
+     * @param {*} value - Value as stored
+     * @param {number} defaultValue - Default for the setting
+     * @param {{min: number, max: number}} range - Allowed range
+     * @returns {number} Whole number within the range
+     */
+    function normalizeNumber(value, defaultValue, { min, max }) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return defaultValue;
+        }
+        return Math.min(Math.max(Math.round(value), min), max);
+    }
+
+    /**
+     * Merges stored settings over the defaults, one section at a time, and keeps
+     * numeric settings within their ranges
+     * @param {Object} [stored] - Settings as stored
+     * @returns {Object} Complete settings
+     */
+    function withDefaults(stored = {}) {
+        const settings = {};
+        for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+            settings[section] = { ...defaults, ...(stored[section] || {}) };
+            for (const [key, range] of Object.entries(NUMBER_RANGES[section] || {})) {
+                settings[section][key] = normalizeNumber(settings[section][key], defaults[key], range);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Reads the current settings
+     * @returns {Promise<Object>} Complete settings
+     */
+    async function getSettings() {
+        const stored = await chrome.storage.sync.get(STORAGE_KEY);
+        return withDefaults(stored[STORAGE_KEY]);
+    }
+
+    /**
+     * Updates one settings section
+     * @param {string} section - Section name, e.g. "interception"
+     * @param {Object} changes - Values to merge into the section
+     * @returns {Promise<Object>} Complete settings after the update
+     */
+    async function updateSettings(section, changes) {
+        const stored = (await chrome.storage.sync.get(STORAGE_KEY))[STORAGE_KEY] || {};
+        stored[section] = { ...(stored[section] || {}), ...changes };
+        await chrome.storage.sync.set({ [STORAGE_KEY]: stored });
+        return withDefaults(stored);
+    }
+
+    /**
+     * Subscribes to settings changes made in any extension context
+     * @param {function(Object): void} callback - Called with the complete new settings
+     * @returns {function(): void} Unsubscribe function
+     */
+    function onSettingsChanged(callback) {
+        const listener = (changes, areaName) => {
+            if (areaName === 'sync' && changes[STORAGE_KEY]) {
+                callback(withDefaults(changes[STORAGE_KEY].newValue));
+            }
+        };
+        chrome.storage.onChanged.addListener(listener);
+        return () => chrome.storage.onChanged.removeListener(listener);
+    }
+
+    /**
+     * Checks a URL path against a list of patterns. A pattern matches as a
+     * path prefix, and "*" matches any run of characters.
+     * @param {string} path - Path (and query) to test
+     * @param {Array<string>} patterns - Patterns from the allow or deny list
+     * @returns {boolean} True if any pattern matches
+     */
+    function matchesPathPattern(path, patterns) {
+        return patterns.some(pattern => {
+            const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+            return escaped && new RegExp('^' + escaped).test(path);
+        });
+    }
+
+    global.Settings = Object.freeze({
+        STORAGE_KEY,
+        DEFAULT_SETTINGS,
+        getSettings,
+        updateSettings,
+        onSettingsChanged,
+        matchesPathPattern
+    });
+})(globalThis);
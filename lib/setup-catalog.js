@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Catalog of Lightning Setup pages with fuzzy search.
+ * Shared by the side panel and the background service worker, so it only
+ * depends on globals available in both and publishes itself on globalThis.
+ */
+(function (global) {
+    /**
+     * Known Lightning Setup nodes. `id` is the node name used in
+     * /lightning/setup/<id>/home, `aliases` are alternative search terms.
+     * @const {Array<{id: string, label: string, section: string, aliases: Array<string>}>}
+     */
+    const SETUP_NODES = [
+        // Users
+        { id: 'ManageUsers', label: 'Users', section: 'Users', aliases: ['people', 'user management'] },
+        { id: 'EnhancedProfiles', label: 'Profiles', section: 'Users', aliases: ['profile'] },
+        { id: 'PermSets', label: 'Permission Sets', section: 'Users', aliases: ['perm sets', 'permsets', 'permissions'] },
+        { id: 'PermSetGroups', label: 'Permission Set Groups', section: 'Users', aliases: ['psg', 'perm set groups'] },
+        { id: 'Roles', label: 'Roles', section: 'Users', aliases: ['role hierarchy'] },
+        { id: 'PublicGroups', label: 'Public Groups', section: 'Users', aliases: ['groups'] },
+        { id: 'Queues', label: 'Queues', section: 'Users', aliases: [] },
+        { id: 'OrgLoginHistory', label: 'Login History', section: 'Users', aliases: ['logins'] },
+
+        // Objects and fields
+        { id: 'ObjectManager', label: 'Object Manager', section: 'Objects and Fields', aliases: ['objects', 'sobjects', 'custom objects', 'fields'] },
+        { id: 'Picklists', label: 'Picklist Value Sets', section: 'Objects and Fields', aliases: ['global value sets', 'picklists'] },
+        { id: 'SchemaBuilder', label: 'Schema Builder', section: 'Objects and Fields', aliases: ['erd', 'schema'] },
+        { id: 'EventObjects', label: 'Platform Events', section: 'Integrations', aliases: ['events'] },
+
+        // Process automation
+        { id: 'Flows', label: 'Flows', section: 'Process Automation', aliases: ['flow builder', 'automation'] },
+        { id: 'WorkflowSettings', label: 'Process Automation Settings', section: 'Process Automation', aliases: [] },
+        { id: 'ApprovalProcesses', label: 'Approval Processes', section: 'Process Automation', aliases: ['approvals'] },
+        { id: 'WorkflowRules', label: 'Workflow Rules', section: 'Process Automation', aliases: ['workflow'] },
+        { id: 'CustomNotifications', label: 'Custom Notifications', section: 'Notification Builder', aliases: ['notifications'] },
+
+        // Custom code
+        { id: 'ApexClasses', label: 'Apex Classes', section: 'Custom Code', aliases: ['classes', 'code'] },
+        { id: 'ApexTriggers', label: 'Apex Triggers', section: 'Custom Code', aliases: ['triggers'] },
+        { id: 'ApexTestQueue', label: 'Apex Test Execution', section: 'Custom Code', aliases: ['tests', 'run tests'] },
+        { id: 'ApexPages', label: 'Visualforce Pages', section: 'Custom Code', aliases: ['vf pages', 'visualforce'] },
+        { id: 'LightningComponentBundles', label: 'Lightning Components', section: 'Custom Code', aliases: ['lwc', 'aura', 'components'] },
+        { id: 'StaticResources', label: 'Static Resources', section: 'Custom Code', aliases: [] },
+        { id: 'CustomMetadata', label: 'Custom Metadata Types', section: 'Custom Code', aliases: ['cmdt', 'custom metadata'] },
+        { id: 'CustomSettings', label: 'Custom Settings', section: 'Custom Code', aliases: [] },
+        { id: 'ExternalStrings', label: 'Custom Labels', section: 'User Interface', aliases: ['labels', 'translations'] },
+
+        // Environments
+        { id: 'AsyncApexJobs', label: 'Apex Jobs', section: 'Environments', aliases: ['async jobs', 'batch jobs'] },
+        { id: 'ScheduledJobs', label: 'Scheduled Jobs', section: 'Environments', aliases: ['cron'] },
+        { id: 'ApexDebugLogs', label: 'Debug Logs', section: 'Environments', aliases: ['logs', 'trace flags'] },
+        { id: 'DeployStatus', label: 'Deployment Status', section: 'Environments', aliases: ['deployments'] },
+        { id: 'InboundChangeSet', label: 'Inbound Change Sets', section: 'Environments', aliases: ['change sets'] },
+        { id: 'OutboundChangeSet', label: 'Outbound Change Sets', section: 'Environments', aliases: ['change sets'] },
+        { id: 'DataManagementCreateTestInstance', label: 'Sandboxes', section: 'Environments', aliases: ['sandbox'] },
+        { id: 'ImportedPackage', label: 'Installed Packages', section: 'Apps', aliases: ['packages', 'managed packages'] },
+
+        // Apps and UI
+        { id: 'NavigationMenus', label: 'App Manager', section: 'Apps', aliases: ['apps', 'lightning apps'] },
+        { id: 'ConnectedApplication', label: 'Manage Connected Apps', section: 'Apps', aliases: ['connected apps', 'oauth'] },
+        { id: 'FlexiPageList', label: 'Lightning App Builder', section: 'User Interface', aliases: ['flexipages', 'record pages'] },
+        { id: 'CustomTabs', label: 'Tabs', section: 'User Interface', aliases: ['custom tabs'] },
+
+        // Security
+        { id: 'SecuritySharing', label: 'Sharing Settings', section: 'Security', aliases: ['owd', 'org wide defaults', 'sharing rules'] },
+        { id: 'SecuritySession', label: 'Session Settings', section: 'Security', aliases: ['session timeout'] },
+        { id: 'SecurityPolicies', label: 'Password Policies', section: 'Security', aliases: ['passwords'] },
+        { id: 'NetworkAccess', label: 'Network Access', section: 'Security', aliases: ['trusted ip ranges', 'ip ranges'] },
+        { id: 'SecurityRemoteProxy', label: 'Remote Site Settings', section: 'Security', aliases: ['remote sites'] },
+        { id: 'SecurityCspTrustedSite', label: 'Trusted URLs', section: 'Security', aliases: ['csp trusted sites', 'csp'] },
+        { id: 'CertificatesAndKeysManagement', label: 'Certificate and Key Management', section: 'Security', aliases: ['certificates', 'certs'] },
+        { id: 'HealthCheck', label: 'Health Check', section: 'Security', aliases: [] },
+        { id: 'SecurityEvents', label: 'View Setup Audit Trail', section: 'Security', aliases: ['audit trail', 'setup audit'] },
+        { id: 'NamedCredential', label: 'Named Credentials', section: 'Security', aliases: ['external credentials', 'credentials'] },
+        { id: 'AuthProviders', label: 'Auth. Providers', section: 'Identity', aliases: ['auth providers', 'sso providers'] },
+        { id: 'SingleSignOn', label: 'Single Sign-On Settings', section: 'Identity', aliases: ['sso', 'saml'] },
+
+        // Company and data
+        { id: 'CompanyProfileInfo', label: 'Company Information', section: 'Company Settings', aliases: ['org info', 'organization'] },
+        { id: 'OrgDomain', label: 'My Domain', section: 'Company Settings', aliases: ['domain'] },
+        { id: 'CompanyResourceDisk', label: 'Storage Usage', section: 'Data', aliases: ['storage', 'data usage'] },
+        { id: 'DataManagementDataImporter', label: 'Data Import Wizard', section: 'Data', aliases: ['import'] },
+        { id: 'DataManagementExport', label: 'Data Export', section: 'Data', aliases: ['export', 'backup'] },
+        { id: 'DuplicateRules', label: 'Duplicate Rules', section: 'Data', aliases: ['duplicates', 'dedupe'] },
+        { id: 'MatchingRules', label: 'Matching Rules', section: 'Data', aliases: [] },
+
+        // Email
+        { id: 'OrgEmailSettings', label: 'Deliverability', section: 'Email', aliases: ['email deliverability'] },
+        { id: 'OrgWideEmailAddresses', label: 'Organization-Wide Addresses', section: 'Email', aliases: ['owea', 'from addresses'] },
+        { id: 'CommunicationTemplatesEmail', label: 'Classic Email Templates', section: 'Email', aliases: ['email templates'] }
+    ];
+
+    /**
+     * Object Manager sections offered for the object open in the main tab.
+     * `id` is the section segment in /lightning/setup/ObjectManager/<object>/<id>/view.
+     * @const {Array<{id: string, label: string}>}
+     */
+    const OBJECT_MANAGER_SECTIONS = [
+        { id: 'FieldsAndRelationships', label: 'Fields & Relationships' },
+        { id: 'PageLayouts', label: 'Page Layouts' },
+        { id: 'LightningPages', label: 'Lightning Record Pages' },
+        { id: 'ValidationRules', label: 'Validation Rules' },
+        { id: 'ApexTriggers', label: 'Triggers' },
+        { id: 'RecordTypes', label: 'Record Types' }
+    ];
+
+    /**
+     * Score weight applied to alias matches relative to label matches
+     * @const {number}
+     */
+    const ALIAS_WEIGHT = 0.9;
+
+    /**
+     * Scores how well a query matches a piece of text. Exact and prefix
+     * matches score highest, then word-prefix and substring matches, then
+     * in-order subsequence matches ("pst" for "Permission Sets").
+     * @param {string} query - Lower-cased, trimmed query
+     * @param {string} text - Candidate text
+     * @returns {number} Score between 0 (no match) and 100 (exact match)
+     */
+    function scoreText(query, text) {
+        const candidate = text.toLowerCase();
+        if (candidate === query) {
+            return 100;
+        }
+        if (candidate.startsWith(query)) {
+            return 90;
+        }
+
+        const words = candidate.split(/[\s\-_.]+/);
+        const tokens = query.split(/\s+/);
+        if (tokens.every(token => words.some(word => word.startsWith(token)))) {
+            return 75;
+        }
+
+        if (candidate.includes(query)) {
+            return 60;
+        }
+
+        // In-order subsequence match, rewarding consecutive characters and word starts
+        const compactQuery = query.replace(/\s+/g, '');
+        let score = 0;
+        let searchFrom = 0;
+        let previous = -2;
+        for (const char of compactQuery) {
+            const position = candidate.indexOf(char, searchFrom);
+            if (position === -1) {
+                return 0;
+            }
+            score += position === previous + 1 ? 3 : 1;
+            if (position === 0 || /[\s\-_.]/.test(candidate[position - 1])) {
+                score += 2;
+            }
+            previous = position;
+            searchFrom = position + 1;
+        }
+        // Scattered matches (fewer than two points per character) are noise rather than intent
+        const average = score / compactQuery.length;
+        return average < 2 ? 0 : Math.min(50, Math.round(average * 10));
+    }
+
+    /**
+     * Scores a Setup node against a query using its label, id and aliases
+     * @param {string} query - Lower-cased, trimmed query
+     * @param {Object} node - Setup node from the catalog
+     * @returns {number} Best score across the node's searchable text
+     */
+    function scoreNode(query, node) {
+        let best = scoreText(query, node.label);
+        for (const alias of node.aliases.concat(node.id)) {
+            best = Math.max(best, Math.round(scoreText(query, alias) * ALIAS_WEIGHT));
+        }
+        return best;
+    }
+
+    /**
+     * Searches the Setup catalog
+     * @param {string} query - Free-text query, e.g. "perm sets"
+     * @param {number} [limit=10] - Maximum number of results
+     * @returns {Array<Object>} Matching nodes, best first
+     */
+    function searchSetupNodes(query, limit = 10) {
+        const normalized = (query || '').trim().toLowerCase();
+        if (!normalized) {
+            return SETUP_NODES.slice(0, limit);
+        }
+
+        return SETUP_NODES
+            .map(node => ({ node, score: scoreNode(normalized, node) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.node.label.localeCompare(b.node.label))
+            .slice(0, limit)
+            .map(result => result.node);
+    }
+
+    /**
+     * Finds a Setup node by its node name
+     * @param {string} id - Node name, e.g. "PermSets"
+     * @returns {Object|undefined} The catalog entry, if known
+     */
+    function getSetupNode(id) {
+        return SETUP_NODES.find(node => node.id === id);
+    }
+
+    /**
+     * Builds the Lightning Setup URL for a node against an org
+     * @param {string} origin - Org origin, e.g. "https://acme.lightning.force.com"
+     * @param {Object} node - Setup node from the catalog
+     * @returns {string} Absolute Setup URL
+     */
+    function buildSetupUrl(origin, node) {
+        return new URL('/lightning/setup/' + node.id + '/home', origin).href;
+    }
+
+    /**
+     * Builds the Object Manager URL for one section of an object against an org
+     * @param {string} origin - Org origin, e.g. "https://acme.lightning.force.com"
+     * @param {string} objectApiName - Object API name, e.g. "Account" or "Invoice__c"
+     * @param {string} sectionId - Section id from OBJECT_MANAGER_SECTIONS
+     * @returns {string} Absolute Object Manager URL
+     */
+    function buildObjectManagerUrl(origin, objectApiName, sectionId) {
+        const path = '/lightning/setup/ObjectManager/' + encodeURIComponent(objectApiName) + '/' + sectionId + '/view';
+        return new URL(path, origin).href;
+    }
+
+    global.SetupCatalog = Object.freeze({
+        SETUP_NODES,
+        OBJECT_MANAGER_SECTIONS,
+        scoreText,
+        searchSetupNodes,
+        getSetupNode,
+        buildSetupUrl,
+        buildObjectManagerUrl
+    });
+})(globalThis);
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Translation between Classic and Lightning Setup URLs, so intercepted Setup
+ * links open in the panel in the user's preferred experience.
+ * Loaded by the content script, which translates links before handing them
+ * to the background service worker, and by the background service worker.
+ */
+(function (global) {
+    /**
+     * Experiences a Setup link can be opened in
+     * @const {Object.<string, string>}
+     */
+    const UrlStyle = {
+        // Open links exactly as the page linked them
+        AS_LINKED: 'asLinked',
+        LIGHTNING: 'lightning',
+        CLASSIC: 'classic'
+    };
+
+    /**
+     * Setup pages known in both experiences.
+     *     - node: Lightning Setup node, as in /lightning/setup/<node>/home
+     *     - setupIds: Classic setupid values for the page, preferred first
+     *     - classicPath: Classic list page, opened with ?setupid=<setupIds[0]>
+     * @const {Array<{node: string, setupIds: Array<string>, classicPath: string}>}
+     */
+    const CLASSIC_SETUP_PAGES = [
+        { node: 'SetupOneHome', setupIds: ['ForceCom'], classicPath: '/setup/forcecomHomepage.apexp' },
+
+        // Users and access
+        { node: 'ManageUsers', setupIds: ['ManageUsers', 'Users'], classicPath: '/005' },
+        { node: 'EnhancedProfiles', setupIds: ['EnhancedProfiles', 'Profiles'], classicPath: '/00e' },
+        { node: 'PermSets', setupIds: ['PermSets'], classicPath: '/0PS' },
+        { node: 'Roles', setupIds: ['Roles'], classicPath: '/ui/setup/user/RoleViewPage' },
+        { node: 'PublicGroups', setupIds: ['PublicGroups'], classicPath: '/p/own/OrgPublicGroupsPage/d' },
+        { node: 'Queues', setupIds: ['Queues'], classicPath: '/p/own/OrgQueuesPage/d' },
+        { node: 'OrgLoginHistory', setupIds: ['OrgLoginHistory'], classicPath: '/0Ya' },
+
+        // Objects and automation
+        { node: 'ObjectManager', setupIds: ['CustomObjects'], classicPath: '/p/setup/custent/CustomObjectsPage' },
+        { node: 'Flows', setupIds: ['InteractionProcesses', 'Flows'], classicPath: '/300' },
+        { node: 'WorkflowRules', setupIds: ['WorkflowRules'], classicPath: '/01Q' },
+        { node: 'ApprovalProcesses', setupIds: ['ApprovalProcesses'], classicPath: '/p/process/ProcessDefinitionSetup' },
+        { node: 'CustomSettings', setupIds: ['CustomSettings'], classicPath: '/setup/ui/listCustomSettings.apexp' },
+        { node: 'CustomMetadata', setupIds: ['CustomMetadata'], classicPath: '/_ui/platform/ui/schema/wizard/entity/CustomMetadataTypeListPage' },
+        { node: 'CustomTabs', setupIds: ['CustomTabs'], classicPath: '/setup/ui/customtabs.jsp' },
+
+        // Code
+        { node: 'ApexClasses', setupIds: ['ApexClasses'], classicPath: '/01p' },
+        { node: 'ApexTriggers', setupIds: ['ApexTriggers'], classicPath: '/setup/build/allTriggers.apexp' },
+        { node: 'ApexPages', setupIds: ['ApexPages'], classicPath: '/apexpages/setup/listApexPage.apexp' },
+        { node: 'StaticResources', setupIds: ['StaticResources'], classicPath: '/081' },
+        { node: 'ExternalStrings', setupIds: ['ExternalStrings'], classicPath: '/101' },
+        { node: 'AsyncApexJobs', setupIds: ['AsyncApexJobs'], classicPath: '/apexpages/setup/listAsyncApexJobs.apexp' },
+        { node: 'ScheduledJobs', setupIds: ['ScheduledJobs'], classicPath: '/08e' },
+        { node: 'ApexDebugLogs', setupIds: ['ApexDebugLogs'], classicPath: '/setup/ui/listApexTraces.apexp' },
+
+        // Deployment
+        { node: 'DeployStatus', setupIds: ['DeployStatus'], classicPath: '/changemgmt/monitorDeployment.apexp' },
+        { node: 'InboundChangeSet', setupIds: ['InboundChangeSet'], classicPath: '/changemgmt/listInboundChangeSet.apexp' },
+        { node: 'OutboundChangeSet', setupIds: ['OutboundChangeSet'], classicPath: '/changemgmt/listOutboundChangeSet.apexp' },
+        { node: 'DataManagementCreateTestInstance', setupIds: ['DataManagementCreateTestInstance'], classicPath: '/07E' },
+        { node: 'ImportedPackage', setupIds: ['ImportedPackage'], classicPath: '/0A3' },
+
+        // Security
+        { node: 'SecuritySharing', setupIds: ['SecuritySharing'], classicPath: '/p/own/OrgSharingDetail' },
+        { node: 'SecuritySession', setupIds: ['SecuritySession'], classicPath: '/_ui/system/security/SessionSettings' },
+        { node: 'SecurityPolicies', setupIds: ['SecurityPolicies'], classicPath: '/_ui/system/security/PasswordPoliciesEdit' },
+        { node: 'NetworkAccess', setupIds: ['NetworkAccess'], classicPath: '/05G' },
+        { node: 'SecurityRemoteProxy', setupIds: ['SecurityRemoteProxy'], classicPath: '/0rp' },
+        { node: 'SecurityEvents', setupIds: ['SecurityEvents'], classicPath: '/setup/org/orgsetupaudit.jsp' },
+        { node: 'NamedCredential', setupIds: ['NamedCredential'], classicPath: '/0XA' },
+
+        // Email
+        { node: 'OrgEmailSettings', setupIds: ['OrgEmailSettings'], classicPath: '/email-admin/editOrgEmailSettings.apexp' },
+        { node: 'CommunicationTemplatesEmail', setupIds: ['CommunicationTemplatesEmail'], classicPath: '/00X' }
+    ];
+
+    /**
+     * Lightning Setup route that renders any Classic Setup page inside the
+     * Lightning Setup shell: /lightning/setup/<node>/page?address=<Classic path>
+     * @const {string}
+     */
+    const LIGHTNING_PAGE_ROUTE = 'page';
+
+    /**
+     * Host suffixes of the same My Domain in each experience
+     * @const {{lightning: string, classic: string}}
+     */
+    const HOST_SUFFIXES = {
+        lightning: '.lightning.force.com',
+        classic: '.my.salesforce.com'
+    };
+
+    /**
+     * Moves a My Domain origin to the host that serves the given experience.
+     * Other hosts are kept; Salesforce redirects them itself.
+     * @param {string} origin - Org origin, e.g. "https://acme.my.salesforce.com"
+     * @param {"lightning"|"classic"} experience - Target experience
+     * @returns {string} Origin for the target experience
+     */
+    function getExperienceOrigin(origin, experience) {
+        const from = experience === UrlStyle.LIGHTNING ? HOST_SUFFIXES.classic : HOST_SUFFIXES.lightning;
+        const to = HOST_SUFFIXES[experience];
+        return origin.endsWith(from) ? origin.slice(0, -from.length) + to : origin;
+    }
+
+    /**
+     * Finds the known page for a Classic setupid
+     * @param {string|null} setupId
+     * @returns {Object|undefined} Entry of CLASSIC_SETUP_PAGES
+     */
+    function findBySetupId(setupId) {
+        return setupId ? CLASSIC_SETUP_PAGES.find(page => page.setupIds.includes(setupId)) : undefined;
+    }
+
+    /**
+     * Finds the known page for a Lightning Setup node
+     * @param {string|null} node
+     * @returns {Object|undefined} Entry of CLASSIC_SETUP_PAGES
+     */
+    function findByNode(node) {
+        return node ? CLASSIC_SETUP_PAGES.find(page => page.node === node) : undefined;
+    }
+
+    /**
+     * Rewrites a Classic Setup URL to Lightning. A page's list view maps to its
+     * Lightning node; other pages with a known setupid open inside the
+     * Lightning Setup shell so detail and edit pages keep their place.
+     * @param {string} url - Classic Setup URL
+     * @returns {string|null} Lightning URL, or null if the page is not known
+     */
+    function toLightning(url) {
+        const { experience, pageType, setupNode } = global.SalesforceUrl.classifyUrl(url);
+        if (experience !== UrlStyle.CLASSIC || pageType !== global.SalesforceUrl.PageType.SETUP) {
+            return null;
+        }
+
+        const parsed = new URL(url);
+        const origin = getExperienceOrigin(parsed.origin, UrlStyle.LIGHTNING);
+        const listPage = CLASSIC_SETUP_PAGES.find(page => page.classicPath === parsed.pathname);
+        if (listPage) {
+            return origin + '/lightning/setup/' + listPage.node + '/home';
+        }
+
+        const page = findBySetupId(setupNode);
+        if (page) {
+            const address = encodeURIComponent(parsed.pathname + parsed.search);
+            return origin + '/lightning/setup/' + page.node + '/' + LIGHTNING_PAGE_ROUTE + '?address=' + address;
+        }
+        return null;
+    }
+
+    /**
+     * Rewrites a Lightning Setup URL to Classic. A node's home maps to its
+     * Classic list page, and a Classic page shown in the Lightning Setup shell
+     * is unwrapped.
+     * @param {string} url - Lightning Setup URL
+     * @returns {string|null} Classic URL, or null if the page has no Classic equivalent
+     */
+    function toClassic(url) {
+        const { experience, setupNode } = global.SalesforceUrl.classifyUrl(url);
+        if (experience !== UrlStyle.LIGHTNING || !setupNode) {
+            return null;
+        }
+
+        const parsed = new URL(url);
+        const origin = getExperienceOrigin(parsed.origin, UrlStyle.CLASSIC);
+        const route = parsed.pathname.split('/').filter(Boolean)[3];
+
+        if (route === LIGHTNING_PAGE_ROUTE) {
+            const address = parsed.searchParams.get('address');
+            // Only same-org relative paths; anything else is left to Salesforce
+            return address && address.startsWith('/') && !address.startsWith('//') ? origin + address : null;
+        }
+
+        const page = findByNode(setupNode);
+        if (page && (!route || route === 'home')) {
+            return origin + page.classicPath + '?setupid=' + page.setupIds[0];
+        }
+        return null;
+    }
+
+    /**
+     * Rewrites a Setup URL into the preferred experience, leaving it unchanged
+     * when it is already there or has no known equivalent
+     * @param {string} url - Setup URL
+     * @param {string} style - One of UrlStyle
+     * @returns {string} URL to open
+     */
+    function translateSetupUrl(url, style) {
+        let translated = null;
+        try {
+            if (style === UrlStyle.LIGHTNING) {
+                translated = toLightning(url);
+            } else if (style === UrlStyle.CLASSIC) {
+                translated = toClassic(url);
+            }
+        } catch (error) {
+            // Unparseable URLs are opened as linked
+        }
+        return translated || url;
+    }
+
+    global.SetupUrlTranslation = Object.freeze({
+        UrlStyle,
+        CLASSIC_SETUP_PAGES,
+        getExperienceOrigin,
+        toLightning,
+        toClassic,
+        translateSetupUrl
+    });
+})(globalThis);
@@ -0,0 +1,460 @@
+'use strict';
+
+/**
+ * Binds the options form to Settings. Each input's name is "<section>.<key>";
+ * checkbox groups map to arrays of their values and textareas with
+ * data-type="list" map to arrays of non-empty lines. Extra Salesforce domains
+ * have their own list, since adding one asks Chrome for access to the host.
+ * Runbooks are stored apart from settings and have their own editor.
+ */
+class OptionsPage {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.form = document.getElementById('optionsForm');
+        this.status = document.getElementById('optionsStatus');
+        this.statusTimeout = null;
+        this.domainList = document.getElementById('customDomainList');
+        this.domainInput = document.getElementById('customDomainInput');
+        this.domainAddButton = document.getElementById('customDomainAdd');
+        this.customDomains = [];
+        this.diagnosticsButton = document.getElementById('copyDiagnostics');
+        this.runbookList = document.getElementById('runbookList');
+        this.runbookEditor = document.getElementById('runbookEditor');
+        this.runbookName = document.getElementById('runbookName');
+        this.runbookSteps = document.getElementById('runbookSteps');
+        this.runbookImportFile = document.getElementById('runbookImportFile');
+        this.runbooks = [];
+        this.editingRunbookId = null;
+
+        // Bind methods to maintain 'this' context
+        this.handleChange = this.handleChange.bind(this);
+        this.populate = this.populate.bind(this);
+        this.handleAddDomain = this.handleAddDomain.bind(this);
+        this.handleDomainKeyDown = this.handleDomainKeyDown.bind(this);
+        this.handleDomainListClick = this.handleDomainListClick.bind(this);
+        this.handleCopyDiagnostics = this.handleCopyDiagnostics.bind(this);
+        this.loadRunbooks = this.loadRunbooks.bind(this);
+        this.handleRunbookListClick = this.handleRunbookListClick.bind(this);
+        this.handleSaveRunbook = this.handleSaveRunbook.bind(this);
+        this.handleImportFile = this.handleImportFile.bind(this);
+        this.handleExportAll = this.handleExportAll.bind(this);
+
+        this.form.addEventListener('change', this.handleChange);
+        this.domainAddButton.addEventListener('click', this.handleAddDomain);
+        this.domainInput.addEventListener('keydown', this.handleDomainKeyDown);
+        this.domainList.addEventListener('click', this.handleDomainListClick);
+        this.diagnosticsButton.addEventListener('click', this.handleCopyDiagnostics);
+        this.runbookList.addEventListener('click', this.handleRunbookListClick);
+        document.getElementById('runbookNew').addEventListener('click', () => this.openRunbookEditor(null));
+        document.getElementById('runbookImport').addEventListener('click', () => this.runbookImportFile.click());
+        document.getElementById('runbookExportAll').addEventListener('click', this.handleExportAll);
+        document.getElementById('runbookSave').addEventListener('click', this.handleSaveRunbook);
+        document.getElementById('runbookCancel').addEventListener('click', () => this.closeRunbookEditor());
+        this.runbookImportFile.addEventListener('change', this.handleImportFile);
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[Runbooks.STORAGE_KEY]) {
+                this.loadRunbooks();
+            }
+        });
+        this.form.addEventListener('submit', event => event.preventDefault());
+        Settings.onSettingsChanged(this.populate);
+
+        Settings.getSettings()
+            .then(this.populate)
+            .catch(error => this.showStatus('Failed to load settings: ' + error.message));
+        this.loadRunbooks();
+    }
+
+    /**
+     * Fills the form from settings
+     * @param {Object} settings - Complete settings
+     */
+    populate(settings) {
+        for (const element of this.form.elements) {
+            if (!element.name || !element.name.includes('.')) {
+                continue;
+            }
+
+            const [section, key] = element.name.split('.');
+            const value = settings[section] && settings[section][key];
+            if (element.type === 'checkbox') {
+                element.checked = Array.isArray(value) ? value.includes(element.value) : Boolean(value);
+            } else if (element.dataset.type === 'list') {
+                // Keep the user's in-progress text while they are typing
+                if (document.activeElement !== element) {
+                    element.value = (value || []).join('\n');
+                }
+            } else if (value !== undefined) {
+                element.value = value;
+            }
+        }
+
+        this.customDomains = settings.domains.custom;
+        this.renderDomains().catch(error => this.showStatus('Failed to list domains: ' + error.message));
+    }
+
+    /**
+     * Lists the extra domains, flagging any whose access has been revoked since
+     * @returns {Promise<void>}
+     */
+    async renderDomains() {
+        const domains = this.customDomains;
+        const granted = await Promise.all(domains.map(domain => chrome.permissions.contains({
+            origins: [SalesforceUrl.getHostPermissionPattern(domain)]
+        })));
+        if (domains !== this.customDomains) {
+            // Settings changed again while checking; that render wins
+            return;
+        }
+
+        this.domainList.replaceChildren();
+        domains.forEach((domain, index) => {
+            const item = document.createElement('li');
+            item.className = 'domain-list-item';
+            item.dataset.domain = domain;
+
+            const name = document.createElement('span');
+            name.className = 'domain-list-name';
+            name.textContent = domain;
+            item.appendChild(name);
+
+            if (!granted[index]) {
+                const status = document.createElement('span');
+                status.className = 'domain-list-status';
+                status.textContent = 'No access';
+
+                const grant = document.createElement('button');
+                grant.type = 'button';
+                grant.dataset.action = 'grant';
+                grant.textContent = 'Grant access';
+                item.append(status, grant);
+            }
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.dataset.action = 'remove';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', 'Remove ' + domain);
+            item.appendChild(remove);
+
+            this.domainList.appendChild(item);
+        });
+    }
+
+    /**
+     * Asks Chrome for access to a domain. Must be called from a user gesture.
+     * @param {string} domain - Normalized domain pattern
+     * @returns {Promise<boolean>} True if access was granted
+     */
+    requestDomainAccess(domain) {
+        return chrome.permissions.request({ origins: [SalesforceUrl.getHostPermissionPattern(domain)] });
+    }
+
+    /**
+     * Adds the typed domain once Chrome has granted access to it
+     */
+    handleAddDomain() {
+        const domain = SalesforceUrl.normalizeDomainPattern(this.domainInput.value);
+        if (!domain) {
+            this.showStatus('Enter a domain such as *.example.com or sf.example.com');
+            return;
+        }
+        if (this.customDomains.includes(domain)) {
+            this.showStatus(domain + ' is already added');
+            return;
+        }
+
+        // The permission prompt needs the click's user gesture, so it comes before any await
+        this.requestDomainAccess(domain)
+            .then(granted => {
+                if (!granted) {
+                    this.showStatus('Access to ' + domain + ' was not granted');
+                    return;
+                }
+                return Settings.updateSettings('domains', { custom: [...this.customDomains, domain] })
+                    .then(() => {
+                        this.domainInput.value = '';
+                        this.showStatus('Added ' + domain + '. Reload its tabs to use the side panel there.');
+                    });
+            })
+            .catch(error => this.showStatus('Failed to add domain: ' + error.message));
+    }
+
+    /**
+     * Adds the typed domain on Enter
+     * @param {KeyboardEvent} event
+     */
+    handleDomainKeyDown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.handleAddDomain();
+        }
+    }
+
+    /**
+     * Grants access to or removes a listed domain
+     * @param {MouseEvent} event
+     */
+    handleDomainListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const { domain } = button.closest('[data-domain]').dataset;
+        if (button.dataset.action === 'grant') {
+            this.requestDomainAccess(domain)
+                .then(granted => {
+                    this.showStatus(granted ? 'Access to ' + domain + ' granted' : 'Access to ' + domain + ' was not granted');
+                    return this.renderDomains();
+                })
+                .catch(error => this.showStatus('Failed to grant access: ' + error.message));
+            return;
+        }
+
+        Settings.updateSettings('domains', { custom: this.customDomains.filter(item => item !== domain) })
+            // Access the extension holds anyway, e.g. for a host it already covers, cannot be
+            // removed; the domain is gone from settings either way
+            .then(() => chrome.permissions.remove({ origins: [SalesforceUrl.getHostPermissionPattern(domain)] })
+                .catch(() => false))
+            .then(() => this.showStatus('Removed ' + domain))
+            .catch(error => this.showStatus('Failed to remove domain: ' + error.message));
+    }
+
+    /**
+     * Reads the current value of a setting from the form
+     * @param {string} name - Input name, "<section>.<key>"
+     * @returns {*} Setting value
+     */
+    readValue(name) {
+        const elements = Array.from(this.form.elements).filter(element => element.name === name);
+        const [first] = elements;
+
+        if (first.type === 'checkbox') {
+            // A group of checkboxes sharing a name is a multi-select
+            return elements.length > 1 || first.value !== 'on'
+                ? elements.filter(element => element.checked).map(element => element.value)
+                : first.checked;
+        }
+        if (first.dataset.type === 'list') {
+            return first.value.split('\n').map(line => line.trim()).filter(Boolean);
+        }
+        if (first.type === 'number') {
+            // An empty or invalid input has no value; Settings falls back to the default
+            return first.value === '' ? null : Number(first.value);
+        }
+        return first.value;
+    }
+
+    /**
+     * Saves a setting whenever an input changes
+     * @param {Event} event
+     */
+    handleChange(event) {
+        const { name } = event.target;
+        if (!name || !name.includes('.')) {
+            return;
+        }
+
+        const [section, key] = name.split('.');
+        Settings.updateSettings(section, { [key]: this.readValue(name) })
+            .then(() => this.showStatus('Saved'))
+            .catch(error => this.showStatus('Failed to save: ' + error.message));
+    }
+
+    /**
+     * Copies the redacted diagnostics bundle the background collects from every context
+     */
+    handleCopyDiagnostics() {
+        chrome.runtime.sendMessage({ type: 'COLLECT_DIAGNOSTICS' })
+            .then(response => {
+                if (!response || !response.diagnostics) {
+                    throw new Error(response && response.error ? response.error : 'No response');
+                }
+                return navigator.clipboard.writeText(JSON.stringify(response.diagnostics, null, 2));
+            })
+            .then(() => this.showStatus('Diagnostics copied'))
+            .catch(error => this.showStatus('Failed to copy diagnostics: ' + error.message));
+    }
+
+    /**
+     * Reads the runbooks from storage and lists them
+     */
+    loadRunbooks() {
+        Runbooks.getRunbooks()
+            .then(runbooks => {
+                this.runbooks = runbooks;
+                this.renderRunbooks();
+            })
+            .catch(error => this.showStatus('Failed to load runbooks: ' + error.message));
+    }
+
+    /**
+     * Lists the runbooks with their edit, export and delete buttons
+     */
+    renderRunbooks() {
+        this.runbookList.replaceChildren();
+        for (const runbook of this.runbooks) {
+            const item = document.createElement('li');
+            item.className = 'runbook-list-item';
+            item.dataset.runbookId = runbook.id;
+
+            const name = document.createElement('span');
+            name.className = 'runbook-list-name';
+            name.textContent = runbook.name;
+
+            const count = document.createElement('span');
+            count.className = 'runbook-list-count';
+            count.textContent = runbook.steps.length === 1 ? '1 step' : runbook.steps.length + ' steps';
+            item.append(name, count);
+
+            for (const [action, label] of [['edit', 'Edit'], ['export', 'Export'], ['delete', 'Delete']]) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.setAttribute('aria-label', label + ' ' + runbook.name);
+                item.appendChild(button);
+            }
+            this.runbookList.appendChild(item);
+        }
+    }
+
+    /**
+     * Edits, exports or deletes a listed runbook
+     * @param {MouseEvent} event
+     */
+    handleRunbookListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const { runbookId } = button.closest('[data-runbook-id]').dataset;
+        const runbook = this.runbooks.find(item => item.id === runbookId);
+        if (!runbook) {
+            return;
+        }
+
+        if (button.dataset.action === 'edit') {
+            this.openRunbookEditor(runbook);
+        } else if (button.dataset.action === 'export') {
+            this.downloadRunbooks([runbook], runbook.name);
+        } else if (button.dataset.action === 'delete' && window.confirm('Delete the runbook "' + runbook.name + '"?')) {
+            Runbooks.deleteRunbook(runbook.id)
+                .then(() => {
+                    if (this.editingRunbookId === runbook.id) {
+                        this.closeRunbookEditor();
+                    }
+                    this.showStatus('Deleted ' + runbook.name);
+                })
+                .catch(error => this.showStatus('Failed to delete runbook: ' + error.message));
+        }
+    }
+
+    /**
+     * Opens the editor on a runbook, or on a new one
+     * @param {Object|null} runbook - Runbook to edit, or null for a new runbook
+     */
+    openRunbookEditor(runbook) {
+        this.editingRunbookId = runbook ? runbook.id : null;
+        this.runbookName.value = runbook ? runbook.name : '';
+        this.runbookSteps.value = runbook
+            ? runbook.steps.map(step => step.note ? step.node + ': ' + step.note : step.node).join('\n')
+            : '';
+        this.runbookEditor.hidden = false;
+        this.runbookName.focus();
+    }
+
+    /**
+     * Closes the editor without saving
+     */
+    closeRunbookEditor() {
+        this.editingRunbookId = null;
+        this.runbookEditor.hidden = true;
+    }
+
+    /**
+     * Saves the runbook in the editor. Each non-empty line of the steps field is
+     * "<Setup node>" or "<Setup node>: <note>".
+     */
+    handleSaveRunbook() {
+        const steps = this.runbookSteps.value.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const separator = line.indexOf(':');
+                return separator === -1
+                    ? { node: line, note: '' }
+                    : { node: line.slice(0, separator), note: line.slice(separator + 1) };
+            });
+
+        Runbooks.saveRunbook({ id: this.editingRunbookId, name: this.runbookName.value, steps })
+            .then(runbook => {
+                this.closeRunbookEditor();
+                this.showStatus('Saved ' + runbook.name);
+            })
+            .catch(error => this.showStatus('Failed to save runbook: ' + error.message));
+    }
+
+    /**
+     * Imports the runbooks in the chosen file
+     */
+    handleImportFile() {
+        const [file] = this.runbookImportFile.files;
+        if (!file) {
+            return;
+        }
+
+        file.text()
+            .then(text => Runbooks.importRunbooks(text))
+            .then(count => this.showStatus('Imported ' + (count === 1 ? '1 runbook' : count + ' runbooks')))
+            .catch(error => this.showStatus('Failed to import runbooks: ' + error.message))
+            .finally(() => {
+                // Let the same file be chosen again
+                this.runbookImportFile.value = '';
+            });
+    }
+
+    /**
+     * Exports every runbook to one file
+     */
+    handleExportAll() {
+        if (!this.runbooks.length) {
+            this.showStatus('There are no runbooks to export');
+            return;
+        }
+        this.downloadRunbooks(this.runbooks, 'runbooks');
+    }
+
+    /**
+     * Saves runbooks as a JSON file in the user's downloads
+     * @param {Array<Object>} runbooks - Runbooks to export
+     * @param {string} baseName - File name without extension
+     */
+    downloadRunbooks(runbooks, baseName) {
+        const blob = new Blob([Runbooks.exportRunbooks(runbooks)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = baseName.replace(/[^\w.-]+/g, '-') + '.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Shows a short-lived status message
+     * @param {string} message
+     */
+    showStatus(message) {
+        this.status.textContent = message;
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => {
+            this.status.textContent = '';
+        }, 2000);
+    }
+}
+
+window.optionsPage = new OptionsPage();
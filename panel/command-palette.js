@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Keyboard-driven Quick Find palette over the Setup catalog. A shareable link
+ * (a page path such as "/lightning/setup/Flows/home") opens as typed on Enter.
+ */
+class CommandPalette {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLInputElement} options.input - Search input (combobox)
+     * @param {HTMLElement} options.results - Results list (listbox)
+     * @param {function(Object, Object): void} options.onSelect - Called with the chosen Setup node
+     *     and { newTab } (true when Ctrl/Cmd was held)
+     * @param {function(string, Object): void} [options.onOpenLink] - Called with a shareable link
+     *     entered in the input, and { newTab }
+     * @param {number} [options.limit=8] - Maximum number of results shown
+     */
+    constructor({ input, results, onSelect, onOpenLink = () => {}, limit = 8 }) {
+        this.input = input;
+        this.results = results;
+        this.onSelect = onSelect;
+        this.onOpenLink = onOpenLink;
+        this.limit = limit;
+        this.matches = [];
+        this.activeIndex = -1;
+
+        // Bind methods to maintain 'this' context
+        this.handleInput = this.handleInput.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleResultClick = this.handleResultClick.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', this.handleKeyDown);
+        this.input.addEventListener('focus', this.handleInput);
+        this.input.addEventListener('blur', this.handleBlur);
+        this.results.addEventListener('mousedown', this.handleResultClick);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.input.removeEventListener('input', this.handleInput);
+        this.input.removeEventListener('keydown', this.handleKeyDown);
+        this.input.removeEventListener('focus', this.handleInput);
+        this.input.removeEventListener('blur', this.handleBlur);
+        this.results.removeEventListener('mousedown', this.handleResultClick);
+    }
+
+    /**
+     * Focuses the search input and selects its text
+     */
+    focus() {
+        this.input.focus();
+        this.input.select();
+    }
+
+    /**
+     * Re-runs the search for the current input value
+     */
+    handleInput() {
+        this.matches = OrgLinks.isShareableLink(this.input.value)
+            ? []
+            : SetupCatalog.searchSetupNodes(this.input.value, this.limit);
+        this.activeIndex = this.matches.length ? 0 : -1;
+        this.render();
+    }
+
+    /**
+     * Handles arrow navigation, selection and dismissal
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.moveActive(1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.moveActive(-1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (OrgLinks.isShareableLink(this.input.value)) {
+                    this.openLink(this.input.value.trim(), { newTab: event.ctrlKey || event.metaKey });
+                } else {
+                    this.select(this.activeIndex, { newTab: event.ctrlKey || event.metaKey });
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                this.input.blur();
+                break;
+        }
+    }
+
+    /**
+     * Selects a result with the mouse. Uses mousedown so it fires before the input blurs.
+     * @param {MouseEvent} event
+     */
+    handleResultClick(event) {
+        const option = event.target.closest('[data-index]');
+        if (option) {
+            event.preventDefault();
+            this.select(Number(option.dataset.index), { newTab: event.ctrlKey || event.metaKey });
+        }
+    }
+
+    /**
+     * Hides the results when focus leaves the input
+     */
+    handleBlur() {
+        this.close();
+    }
+
+    /**
+     * Moves the highlighted result, wrapping around the list
+     * @param {number} delta - +1 for next, -1 for previous
+     */
+    moveActive(delta) {
+        if (!this.matches.length) {
+            return;
+        }
+        this.activeIndex = (this.activeIndex + delta + this.matches.length) % this.matches.length;
+        this.render();
+    }
+
+    /**
+     * Chooses a result and resets the palette
+     * @param {number} index - Index into the current matches
+     * @param {Object} [options] - Passed through to onSelect
+     */
+    select(index, options = {}) {
+        const node = this.matches[index];
+        if (!node) {
+            return;
+        }
+        this.input.value = '';
+        this.close();
+        this.input.blur();
+        this.onSelect(node, options);
+    }
+
+    /**
+     * Opens a shareable link and resets the palette
+     * @param {string} link - Shareable link
+     * @param {Object} [options] - Passed through to onOpenLink
+     */
+    openLink(link, options = {}) {
+        this.input.value = '';
+        this.close();
+        this.input.blur();
+        this.onOpenLink(link, options);
+    }
+
+    /**
+     * Hides the results list
+     */
+    close() {
+        this.matches = [];
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    /**
+     * Renders the current matches into the results list
+     */
+    render() {
+        this.results.replaceChildren();
+        this.matches.forEach((node, index) => {
+            const option = document.createElement('li');
+            option.id = 'quick-find-option-' + index;
+            option.className = 'quick-find-option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.activeIndex));
+            option.dataset.index = String(index);
+
+            const label = document.createElement('span');
+            label.className = 'quick-find-label';
+            label.textContent = node.label;
+
+            const section = document.createElement('span');
+            section.className = 'quick-find-section';
+            section.textContent = node.section;
+
+            option.append(label, section);
+            this.results.appendChild(option);
+        });
+
+        const open = this.matches.length > 0;
+        this.results.classList.toggle('visible', open);
+        this.input.setAttribute('aria-expanded', String(open));
+        if (this.activeIndex >= 0) {
+            this.input.setAttribute('aria-activedescendant', 'quick-find-option-' + this.activeIndex);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+}
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Frames kept when no valid limit is given
+ * @const {number}
+ */
+const DEFAULT_FRAME_CACHE_LIMIT = 3;
+
+/**
+ * Keeps recently used Setup frames alive but hidden after their tab moves on, so
+ * asking for the same page again switches to it instantly instead of reloading
+ * Lightning. Frames past the limit are removed least recently used first.
+ */
+class FrameCache {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {number} [options.limit=3] - Most frames kept; 0 keeps none
+     */
+    constructor({ limit = DEFAULT_FRAME_CACHE_LIMIT } = {}) {
+        // Cached frames by URL, least recently used first (Map keeps insertion order)
+        this.entries = new Map();
+        this.setLimit(limit);
+    }
+
+    /**
+     * Removes every cached frame
+     */
+    destroy() {
+        for (const url of Array.from(this.entries.keys())) {
+            this.evict(url);
+        }
+    }
+
+    /**
+     * Changes how many frames are kept, evicting the oldest ones past the new limit.
+     * A limit that is not a finite number keeps the default, so the cache cannot grow unbounded.
+     * @param {number} limit
+     */
+    setLimit(limit) {
+        this.limit = Number.isFinite(limit) ? Math.max(0, Math.floor(limit)) : DEFAULT_FRAME_CACHE_LIMIT;
+        this.trim();
+    }
+
+    /**
+     * Keeps a loaded frame for its URL, replacing any frame already kept for it
+     * @param {string} url - The frame's current location
+     * @param {HTMLIFrameElement} frame - Frame no longer used by any tab
+     * @returns {boolean} True if the frame was kept; otherwise it has been removed
+     */
+    put(url, frame) {
+        if (this.limit <= 0) {
+            frame.remove();
+            return false;
+        }
+
+        this.evict(url);
+        frame.hidden = true;
+        this.entries.set(url, { frame, cachedAt: Date.now(), memory: null });
+        Logger.debug('Keeping frame warm for', url);
+        this.trim();
+        return true;
+    }
+
+    /**
+     * Hands back the frame kept for a URL and forgets it
+     * @param {string} url
+     * @returns {HTMLIFrameElement|null} The warm frame, or null if none is kept
+     */
+    take(url) {
+        const entry = this.entries.get(url);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(url);
+        Logger.debug('Reusing warm frame for', url);
+        return entry.frame;
+    }
+
+    /**
+     * Removes the frame kept for a URL, e.g. before an explicit reload
+     * @param {string} url
+     */
+    evict(url) {
+        const entry = this.entries.get(url);
+        if (!entry) {
+            return;
+        }
+        this.entries.delete(url);
+        entry.frame.remove();
+        Logger.debug('Evicted warm frame for', url);
+    }
+
+    /**
+     * Evicts the least recently used frames past the limit
+     */
+    trim() {
+        for (const url of Array.from(this.entries.keys()).slice(0, Math.max(0, this.entries.size - this.limit))) {
+            this.evict(url);
+        }
+    }
+
+    /**
+     * Finds the cached frame whose window sent a message
+     * @param {Window} source - MessageEvent source
+     * @returns {{frame: HTMLIFrameElement, cachedAt: number, memory: Object|null}|undefined}
+     */
+    findBySource(source) {
+        return Array.from(this.entries.values()).find(entry => entry.frame.contentWindow === source);
+    }
+
+    /**
+     * Records the memory use a cached frame reported
+     * @param {Window} source - MessageEvent source
+     * @param {{usedJSHeapSize: number|null, totalJSHeapSize: number|null}} memory
+     */
+    setMemory(source, { usedJSHeapSize, totalJSHeapSize }) {
+        const entry = this.findBySource(source);
+        if (entry) {
+            entry.memory = { usedJSHeapSize, totalJSHeapSize, measuredAt: Date.now() };
+        }
+    }
+
+    /**
+     * Describes the cached frames for a diagnostics bundle
+     * @returns {{limit: number, frames: Array<Object>}} Frames least recently used first
+     */
+    getDiagnostics() {
+        return {
+            limit: this.limit,
+            frames: Array.from(this.entries, ([url, entry]) => ({
+                url,
+                cachedAt: new Date(entry.cachedAt).toISOString(),
+                memory: entry.memory && {
+                    usedJSHeapSize: entry.memory.usedJSHeapSize,
+                    totalJSHeapSize: entry.memory.totalJSHeapSize,
+                    measuredAt: new Date(entry.memory.measuredAt).toISOString()
+                }
+            }))
+        };
+    }
+}
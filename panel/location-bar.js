@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Back/forward buttons, a breadcrumb for the current Setup node and a copy
+ * button for the page the active panel tab is on. Holds no history of its own:
+ * SetupSidePanel tracks each tab's in-frame navigation and re-renders the bar.
+ */
+class LocationBar {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.element - Bar container from sidepanel.html
+     * @param {function(): void} options.onBack - Called when the user goes back
+     * @param {function(): void} options.onForward - Called when the user goes forward
+     */
+    constructor({ element, onBack, onForward }) {
+        this.element = element;
+        this.backButton = element.querySelector('.location-back');
+        this.forwardButton = element.querySelector('.location-forward');
+        this.breadcrumb = element.querySelector('.location-breadcrumb');
+        this.copyButton = element.querySelector('.location-copy');
+        this.onBack = onBack;
+        this.onForward = onForward;
+        this.url = null;
+        this.copyTimeout = null;
+
+        // Bind methods to maintain 'this' context
+        this.handleBackClick = this.handleBackClick.bind(this);
+        this.handleForwardClick = this.handleForwardClick.bind(this);
+        this.handleCopyClick = this.handleCopyClick.bind(this);
+
+        this.backButton.addEventListener('click', this.handleBackClick);
+        this.forwardButton.addEventListener('click', this.handleForwardClick);
+        this.copyButton.addEventListener('click', this.handleCopyClick);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        clearTimeout(this.copyTimeout);
+        this.backButton.removeEventListener('click', this.handleBackClick);
+        this.forwardButton.removeEventListener('click', this.handleForwardClick);
+        this.copyButton.removeEventListener('click', this.handleCopyClick);
+    }
+
+    /**
+     * Shows where the active tab is, or hides the bar when no page is open
+     * @param {Object|null} location
+     * @param {string} location.url - Current URL of the tab's frame
+     * @param {boolean} location.canGoBack
+     * @param {boolean} location.canGoForward
+     */
+    render(location) {
+        if (!location || !location.url) {
+            this.url = null;
+            this.element.hidden = true;
+            return;
+        }
+
+        this.url = location.url;
+        this.backButton.disabled = !location.canGoBack;
+        this.forwardButton.disabled = !location.canGoForward;
+
+        const crumbs = LocationBar.getBreadcrumb(location.url);
+        this.breadcrumb.replaceChildren();
+        crumbs.forEach((crumb, index) => {
+            const item = document.createElement('span');
+            item.className = 'location-crumb';
+            item.textContent = crumb;
+            if (index === crumbs.length - 1) {
+                item.setAttribute('aria-current', 'page');
+            }
+            this.breadcrumb.appendChild(item);
+        });
+        this.breadcrumb.title = location.url;
+        this.element.hidden = false;
+    }
+
+    /**
+     * Describes a page as a trail from Setup down to the current node, e.g.
+     * ["Setup", "Object Manager", "Account", "Fields & Relationships"]
+     * @param {string} url - Page URL
+     * @returns {Array<string>} Breadcrumb labels
+     */
+    static getBreadcrumb(url) {
+        const { pageType, setupNode, objectApiName, objectManagerSection } = SalesforceUrl.classifyUrl(url);
+
+        if (pageType === SalesforceUrl.PageType.OBJECT_MANAGER) {
+            const crumbs = ['Setup', 'Object Manager'];
+            if (objectApiName) {
+                crumbs.push(objectApiName);
+            }
+            const section = SetupCatalog.OBJECT_MANAGER_SECTIONS.find(item => item.id === objectManagerSection);
+            if (section) {
+                crumbs.push(section.label);
+            }
+            return crumbs;
+        }
+
+        if (pageType === SalesforceUrl.PageType.SETUP) {
+            const node = setupNode && SetupCatalog.getSetupNode(setupNode);
+            if (!node) {
+                return ['Setup', PageHistory.getPageTitle(url)];
+            }
+            return node.section === node.label ? ['Setup', node.label] : ['Setup', node.section, node.label];
+        }
+
+        return [PageHistory.getPageTitle(url)];
+    }
+
+    /**
+     * Goes back in the active tab
+     */
+    handleBackClick() {
+        this.onBack();
+    }
+
+    /**
+     * Goes forward in the active tab
+     */
+    handleForwardClick() {
+        this.onForward();
+    }
+
+    /**
+     * Copies the current URL and briefly confirms it on the button
+     */
+    handleCopyClick() {
+        if (!this.url) {
+            return;
+        }
+
+        navigator.clipboard.writeText(this.url)
+            .then(() => {
+                this.copyButton.classList.add('copied');
+                this.copyButton.setAttribute('aria-label', 'Copied');
+                clearTimeout(this.copyTimeout);
+                this.copyTimeout = setTimeout(() => {
+                    this.copyButton.classList.remove('copied');
+                    this.copyButton.setAttribute('aria-label', 'Copy page URL');
+                }, 1500);
+            })
+            .catch(error => {
+                Logger.error('Error copying URL:', error);
+            });
+    }
+}
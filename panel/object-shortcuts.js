@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * One-click Object Manager links for the object open in the main tab
+ */
+class ObjectShortcuts {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.element - Section container from sidepanel.html
+     * @param {function(string): void} options.onOpen - Called with the Object Manager URL to load
+     */
+    constructor({ element, onOpen }) {
+        this.element = element;
+        this.titleEl = element.querySelector('.object-shortcuts-title');
+        this.list = element.querySelector('.object-shortcuts-list');
+        this.onOpen = onOpen;
+        this.origin = null;
+        this.objectApiName = null;
+
+        // Bind methods to maintain 'this' context
+        this.handleClick = this.handleClick.bind(this);
+
+        this.list.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.list.removeEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Shows shortcuts for an object, or hides the section when there is none
+     * @param {string|null} origin - Org origin the links are built against
+     * @param {string|null} objectApiName - Object API name from the main tab
+     */
+    setObject(origin, objectApiName) {
+        if (origin === this.origin && objectApiName === this.objectApiName) {
+            return;
+        }
+        this.origin = origin;
+        this.objectApiName = objectApiName;
+        this.render();
+    }
+
+    /**
+     * Renders one button per Object Manager section
+     */
+    render() {
+        this.list.replaceChildren();
+        if (!this.origin || !this.objectApiName) {
+            this.element.hidden = true;
+            return;
+        }
+
+        this.titleEl.textContent = 'Object: ' + this.objectApiName;
+        for (const section of SetupCatalog.OBJECT_MANAGER_SECTIONS) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'object-shortcut';
+            button.dataset.section = section.id;
+            button.textContent = section.label;
+            item.appendChild(button);
+            this.list.appendChild(item);
+        }
+        this.element.hidden = false;
+    }
+
+    /**
+     * Opens the chosen section in the panel
+     * @param {MouseEvent} event
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-section]');
+        if (!button || !this.origin || !this.objectApiName) {
+            return;
+        }
+        this.onOpen(SetupCatalog.buildObjectManagerUrl(this.origin, this.objectApiName, button.dataset.section));
+    }
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Colour-coded banner identifying the org of the page shown in the side panel
+ */
+class OrgBanner {
+    /**
+     * Constructor
+     * @param {HTMLElement} element - Banner container from sidepanel.html
+     */
+    constructor(element) {
+        this.element = element;
+        this.typeEl = element.querySelector('.org-banner-type');
+        this.nameEl = element.querySelector('.org-banner-name');
+        this.editButton = element.querySelector('.org-banner-edit');
+        this.form = element.querySelector('.org-banner-form');
+        this.labelInput = this.form.querySelector('input[name="label"]');
+        this.colorInput = this.form.querySelector('input[name="color"]');
+        this.orgInfo = null;
+        this.orgLabel = null;
+
+        // Bind methods to maintain 'this' context
+        this.handleEditClick = this.handleEditClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleReset = this.handleReset.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+
+        this.editButton.addEventListener('click', this.handleEditClick);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('reset', this.handleReset);
+        chrome.storage.onChanged.addListener(this.handleStorageChange);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.editButton.removeEventListener('click', this.handleEditClick);
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('reset', this.handleReset);
+        chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    }
+
+    /**
+     * Shows the banner for an org, or hides it when no org is known
+     * @param {Object|null} orgInfo - Result of getOrgInfo
+     * @returns {Promise<void>}
+     */
+    async setOrg(orgInfo) {
+        if (this.orgInfo && orgInfo && this.orgInfo.orgKey === orgInfo.orgKey) {
+            return;
+        }
+        this.orgInfo = orgInfo;
+        this.form.hidden = true;
+        await this.refresh();
+    }
+
+    /**
+     * Reloads the stored label for the current org and renders the banner. A label that
+     * arrives after the org has changed again is dropped.
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const orgInfo = this.orgInfo;
+        let orgLabel = null;
+        try {
+            orgLabel = orgInfo ? await OrgLabels.getOrgLabel(orgInfo.orgKey) : null;
+        } catch (error) {
+            Logger.error('Error loading org label:', error);
+        }
+        if (this.orgInfo !== orgInfo) {
+            return;
+        }
+        this.orgLabel = orgLabel;
+        this.render();
+    }
+
+    /**
+     * Renders the banner from the current org and label
+     */
+    render() {
+        if (!this.orgInfo) {
+            this.element.hidden = true;
+            return;
+        }
+
+        const { orgType, displayName } = this.orgInfo;
+        const label = this.orgLabel && this.orgLabel.label;
+        this.element.hidden = false;
+        this.element.dataset.orgType = orgType;
+        this.element.style.setProperty('--org-color', OrgLabels.getOrgColor(this.orgInfo, this.orgLabel));
+        this.typeEl.textContent = orgType.toUpperCase();
+        this.nameEl.textContent = label ? label + ' · ' + displayName : displayName;
+        this.element.title = this.orgInfo.hostname;
+    }
+
+    /**
+     * Toggles the label editor
+     */
+    handleEditClick() {
+        if (!this.orgInfo) {
+            return;
+        }
+        this.form.hidden = !this.form.hidden;
+        if (!this.form.hidden) {
+            this.labelInput.value = (this.orgLabel && this.orgLabel.label) || '';
+            this.colorInput.value = OrgLabels.getOrgColor(this.orgInfo, this.orgLabel);
+            this.labelInput.focus();
+        }
+    }
+
+    /**
+     * Saves the label and colour for the current org
+     * @param {SubmitEvent} event
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        if (!this.orgInfo) {
+            return;
+        }
+
+        // Only store the colour if it differs from the org type's default
+        const color = this.colorInput.value === OrgLabels.DEFAULT_COLORS[this.orgInfo.orgType] ? '' : this.colorInput.value;
+        OrgLabels.setOrgLabel(this.orgInfo.orgKey, { label: this.labelInput.value.trim(), color })
+            .then(() => {
+                this.form.hidden = true;
+            })
+            .catch(error => {
+                Logger.error('Error saving org label:', error);
+            });
+    }
+
+    /**
+     * Clears the label and colour for the current org
+     * @param {Event} event
+     */
+    handleReset(event) {
+        event.preventDefault();
+        if (!this.orgInfo) {
+            return;
+        }
+
+        OrgLabels.setOrgLabel(this.orgInfo.orgKey, { label: '', color: '' })
+            .then(() => {
+                this.form.hidden = true;
+            })
+            .catch(error => {
+                Logger.error('Error clearing org label:', error);
+            });
+    }
+
+    /**
+     * Re-renders when labels change in any extension context
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @param {string} areaName - Storage area name
+     */
+    handleStorageChange(changes, areaName) {
+        if (areaName === 'local' && changes[OrgLabels.STORAGE_KEY]) {
+            this.refresh();
+        }
+    }
+}
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Header menu for moving the active panel page somewhere roomier: the main tab,
+ * a new tab, a popup window, or swapping places with the main tab's page. It also
+ * copies an org-agnostic link to the page and opens the same page in other orgs.
+ * The menu only reports the chosen action; SetupSidePanel carries it out.
+ */
+class PageActions {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.element - Menu container from sidepanel.html
+     * @param {function(string, DOMStringMap): void} options.onAction - Called with the data-action
+     *     of the chosen item and its dataset (e.g. data-origin for another org)
+     */
+    constructor({ element, onAction }) {
+        this.element = element;
+        this.toggleButton = element.querySelector('.page-actions-toggle');
+        this.menu = element.querySelector('.page-actions-menu');
+        this.orgHeading = element.querySelector('.page-actions-heading');
+        this.orgList = element.querySelector('.page-actions-orgs');
+        this.onAction = onAction;
+
+        // Bind methods to maintain 'this' context
+        this.handleToggleClick = this.handleToggleClick.bind(this);
+        this.handleMenuClick = this.handleMenuClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+
+        this.toggleButton.addEventListener('click', this.handleToggleClick);
+        this.menu.addEventListener('click', this.handleMenuClick);
+        this.element.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.toggleButton.removeEventListener('click', this.handleToggleClick);
+        this.menu.removeEventListener('click', this.handleMenuClick);
+        this.element.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('click', this.handleDocumentClick);
+    }
+
+    /**
+     * Menu items in display order
+     * @returns {Array<HTMLButtonElement>}
+     */
+    get items() {
+        return Array.from(this.menu.querySelectorAll('[role="menuitem"]'));
+    }
+
+    /**
+     * Enables the menu when there is a page to move
+     * @param {Object} availability
+     * @param {boolean} availability.hasPage - The active panel tab shows a page
+     * @param {boolean} availability.canSwap - The main tab is on a Salesforce page
+     */
+    setAvailability({ hasPage, canSwap }) {
+        this.toggleButton.disabled = !hasPage;
+        const swapItem = this.menu.querySelector('[data-action="swap"]');
+        if (swapItem) {
+            swapItem.disabled = !canSwap;
+        }
+        if (!hasPage) {
+            this.close();
+        }
+    }
+
+    /**
+     * Lists the other orgs the current page can be opened in
+     * @param {Array<{origin: string, displayName: string}>} orgs - Known orgs, excluding the current one
+     */
+    setOrgs(orgs) {
+        this.orgList.replaceChildren();
+        for (const org of orgs) {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'none');
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.setAttribute('role', 'menuitem');
+            button.dataset.action = 'openInOrg';
+            button.dataset.origin = org.origin;
+            button.textContent = org.displayName;
+            button.title = org.origin;
+
+            item.appendChild(button);
+            this.orgList.appendChild(item);
+        }
+        this.orgHeading.hidden = !orgs.length;
+    }
+
+    /**
+     * Opens the menu and focuses its first enabled item
+     */
+    open() {
+        this.menu.hidden = false;
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+        const first = this.items.find(item => !item.disabled);
+        if (first) {
+            first.focus();
+        }
+    }
+
+    /**
+     * Closes the menu
+     * @param {boolean} [restoreFocus=false] - Return focus to the toggle button
+     */
+    close(restoreFocus = false) {
+        if (this.menu.hidden) {
+            return;
+        }
+        this.menu.hidden = true;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            this.toggleButton.focus();
+        }
+    }
+
+    /**
+     * Opens or closes the menu
+     */
+    handleToggleClick() {
+        if (this.menu.hidden) {
+            this.open();
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Reports the chosen item and closes the menu
+     * @param {MouseEvent} event
+     */
+    handleMenuClick(event) {
+        const item = event.target.closest('[data-action]');
+        if (!item || item.disabled) {
+            return;
+        }
+        this.close(true);
+        this.onAction(item.dataset.action, item.dataset);
+    }
+
+    /**
+     * Moves between items with the arrow keys and closes on Escape or Tab
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (this.menu.hidden) {
+            return;
+        }
+
+        const items = this.items.filter(item => !item.disabled);
+        const index = items.indexOf(document.activeElement);
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                items[(index + 1) % items.length].focus();
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                items[(index - 1 + items.length) % items.length].focus();
+                break;
+            case 'Home':
+                event.preventDefault();
+                items[0].focus();
+                break;
+            case 'End':
+                event.preventDefault();
+                items[items.length - 1].focus();
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.close(true);
+                break;
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Closes the menu when the user clicks elsewhere in the panel
+     * @param {MouseEvent} event
+     */
+    handleDocumentClick(event) {
+        if (!this.element.contains(event.target)) {
+            this.close();
+        }
+    }
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Renders the per-org Favorites and Recent lists in the side panel
+ */
+class PageLists {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.favoritesList - List element for pinned pages
+     * @param {HTMLElement} options.recentList - List element for recent pages
+     * @param {function(string, Object): void} options.onOpen - Called with the URL of a chosen page
+     *     and { newTab } (true when Ctrl/Cmd was held)
+     * @param {function(): void} [options.onUpdate] - Called after the lists are re-rendered
+     * @param {number} [options.recentLimit=10] - Maximum number of recent pages shown
+     */
+    constructor({ favoritesList, recentList, onOpen, onUpdate = () => {}, recentLimit = 10 }) {
+        this.favoritesList = favoritesList;
+        this.recentList = recentList;
+        this.onOpen = onOpen;
+        this.onUpdate = onUpdate;
+        this.recentLimit = recentLimit;
+        this.host = null;
+        this.favorites = [];
+
+        // Bind methods to maintain 'this' context
+        this.handleListClick = this.handleListClick.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+
+        this.favoritesList.addEventListener('click', this.handleListClick);
+        this.recentList.addEventListener('click', this.handleListClick);
+        chrome.storage.onChanged.addListener(this.handleStorageChange);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.favoritesList.removeEventListener('click', this.handleListClick);
+        this.recentList.removeEventListener('click', this.handleListClick);
+        chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    }
+
+    /**
+     * Switches the lists to another org
+     * @param {string|null} host - Org host, or null when no org is known
+     */
+    setHost(host) {
+        if (host === this.host) {
+            return;
+        }
+        this.host = host;
+        this.refresh();
+    }
+
+    /**
+     * Checks whether a URL is pinned for the current org
+     * @param {string} url - Page URL
+     * @returns {boolean}
+     */
+    isFavorite(url) {
+        return this.favorites.some(item => item.url === url);
+    }
+
+    /**
+     * Re-reads both lists from storage and renders them
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        try {
+            if (!this.host) {
+                this.favorites = [];
+                this.renderList(this.favoritesList, [], 'No org detected yet');
+                this.renderList(this.recentList, [], 'No org detected yet');
+                this.onUpdate();
+                return;
+            }
+
+            const [favorites, history] = await Promise.all([
+                PageHistory.getFavorites(this.host),
+                PageHistory.getHistory(this.host)
+            ]);
+            this.favorites = favorites;
+            this.renderList(this.favoritesList, favorites, 'Pin pages with the star button');
+            this.renderList(this.recentList, history.slice(0, this.recentLimit), 'No recent pages');
+            this.onUpdate();
+        } catch (error) {
+            Logger.error('Error loading page lists:', error);
+        }
+    }
+
+    /**
+     * Re-renders when history or favorites change in any extension context
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @param {string} areaName - Storage area name
+     */
+    handleStorageChange(changes, areaName) {
+        if (areaName === 'local' && PageHistory.isHistoryChange(changes)) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Opens a page or toggles its favorite state
+     * @param {MouseEvent} event
+     */
+    handleListClick(event) {
+        const button = event.target.closest('button[data-url]');
+        if (!button) {
+            return;
+        }
+
+        const { url, action, title } = button.dataset;
+        if (action === 'pin') {
+            PageHistory.toggleFavorite(url, title).catch(error => {
+                Logger.error('Error toggling favorite:', error);
+            });
+        } else {
+            this.onOpen(url, { newTab: event.ctrlKey || event.metaKey });
+        }
+    }
+
+    /**
+     * Renders entries into a list element
+     * @param {HTMLElement} list - Target list
+     * @param {Array<Object>} entries - History or favorite entries
+     * @param {string} emptyText - Text shown when there are no entries
+     */
+    renderList(list, entries, emptyText) {
+        list.replaceChildren();
+
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'page-list-empty';
+            empty.textContent = emptyText;
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.className = 'page-list-item';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'page-list-open';
+            open.dataset.url = entry.url;
+            open.textContent = entry.title;
+            open.title = entry.url;
+
+            const pinned = this.isFavorite(entry.url);
+            const pin = document.createElement('button');
+            pin.type = 'button';
+            pin.className = 'page-list-pin' + (pinned ? ' pinned' : '');
+            pin.dataset.url = entry.url;
+            pin.dataset.title = entry.title;
+            pin.dataset.action = 'pin';
+            pin.textContent = pinned ? '★' : '☆';
+            pin.setAttribute('aria-label', (pinned ? 'Unpin ' : 'Pin ') + entry.title);
+
+            item.append(open, pin);
+            list.appendChild(item);
+        }
+    }
+}
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * Plays a runbook in the side panel: its steps with per-org checkboxes, and
+ * previous/next controls that load each step's Setup page
+ */
+class RunbookPlayer {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.element - Section container from sidepanel.html
+     * @param {function({node: string, note: string}): void} options.onOpenStep - Called with the step to load
+     */
+    constructor({ element, onOpenStep }) {
+        this.element = element;
+        this.select = element.querySelector('.runbook-select');
+        this.resetButton = element.querySelector('.runbook-reset');
+        this.stepList = element.querySelector('.runbook-steps');
+        this.prevButton = element.querySelector('.runbook-prev');
+        this.nextButton = element.querySelector('.runbook-next');
+        this.position = element.querySelector('.runbook-position');
+        this.onOpenStep = onOpenStep;
+        this.orgKey = null;
+        this.runbooks = [];
+        this.progress = null;
+        // Counts refreshes so a slow read cannot overwrite a newer one
+        this.refreshCount = 0;
+
+        // Bind methods to maintain 'this' context
+        this.handleSelectChange = this.handleSelectChange.bind(this);
+        this.handleStepClick = this.handleStepClick.bind(this);
+        this.handleStepChange = this.handleStepChange.bind(this);
+        this.handlePrevClick = this.handlePrevClick.bind(this);
+        this.handleNextClick = this.handleNextClick.bind(this);
+        this.handleResetClick = this.handleResetClick.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+
+        this.select.addEventListener('change', this.handleSelectChange);
+        this.stepList.addEventListener('click', this.handleStepClick);
+        this.stepList.addEventListener('change', this.handleStepChange);
+        this.prevButton.addEventListener('click', this.handlePrevClick);
+        this.nextButton.addEventListener('click', this.handleNextClick);
+        this.resetButton.addEventListener('click', this.handleResetClick);
+        chrome.storage.onChanged.addListener(this.handleStorageChange);
+        this.refresh();
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.select.removeEventListener('change', this.handleSelectChange);
+        this.stepList.removeEventListener('click', this.handleStepClick);
+        this.stepList.removeEventListener('change', this.handleStepChange);
+        this.prevButton.removeEventListener('click', this.handlePrevClick);
+        this.nextButton.removeEventListener('click', this.handleNextClick);
+        this.resetButton.removeEventListener('click', this.handleResetClick);
+        chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    }
+
+    /**
+     * Switches progress to another org
+     * @param {Object|null} orgInfo - getOrgInfo result, or null when no org is known
+     */
+    setOrg(orgInfo) {
+        const orgKey = orgInfo ? orgInfo.orgKey : null;
+        if (orgKey === this.orgKey) {
+            return;
+        }
+        this.orgKey = orgKey;
+        this.refresh();
+    }
+
+    /**
+     * The runbook chosen for the current org
+     * @type {Object|undefined}
+     */
+    get activeRunbook() {
+        return this.progress ? this.runbooks.find(runbook => runbook.id === this.progress.activeId) : undefined;
+    }
+
+    /**
+     * Re-reads runbooks and the org's progress from storage and renders them
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const refreshCount = ++this.refreshCount;
+        try {
+            const [runbooks, progress] = await Promise.all([
+                Runbooks.getRunbooks(),
+                this.orgKey ? Runbooks.getProgress(this.orgKey) : null
+            ]);
+            if (refreshCount !== this.refreshCount) {
+                return;
+            }
+            this.runbooks = runbooks;
+            this.progress = progress;
+            this.render();
+        } catch (error) {
+            Logger.error('Error loading runbooks:', error);
+        }
+    }
+
+    /**
+     * Re-renders when runbooks or progress change in any extension context
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @param {string} areaName - Storage area name
+     */
+    handleStorageChange(changes, areaName) {
+        if (areaName === 'local' && Runbooks.isRunbookChange(changes)) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Renders the runbook picker, the steps of the active runbook and the controls
+     */
+    render() {
+        this.select.replaceChildren(new Option('Choose a runbook…', ''));
+        for (const runbook of this.runbooks) {
+            this.select.appendChild(new Option(runbook.name, runbook.id));
+        }
+
+        const runbook = this.activeRunbook;
+        this.select.value = runbook ? runbook.id : '';
+        this.select.disabled = !this.orgKey || !this.runbooks.length;
+        this.stepList.replaceChildren();
+
+        if (!runbook) {
+            const empty = document.createElement('li');
+            empty.className = 'runbook-empty';
+            if (!this.orgKey) {
+                empty.textContent = 'No org detected yet';
+            } else if (!this.runbooks.length) {
+                empty.textContent = 'Create or import runbooks on the options page';
+            } else {
+                empty.textContent = 'Choose a runbook to follow in this org';
+            }
+            this.stepList.appendChild(empty);
+            this.renderControls(null, null);
+            return;
+        }
+
+        const { done } = Runbooks.getRunbookProgress(this.progress, runbook.id);
+        const current = this.getCurrentIndex(runbook);
+        runbook.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'runbook-step' + (index === current ? ' current' : '');
+            if (index === current) {
+                item.setAttribute('aria-current', 'step');
+            }
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.index = index;
+            checkbox.checked = done.includes(index);
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'runbook-step-open';
+            open.dataset.index = index;
+            open.textContent = (index + 1) + '. ' + this.getStepTitle(step);
+            checkbox.setAttribute('aria-label', 'Done: ' + open.textContent);
+
+            item.append(checkbox, open);
+            if (step.note) {
+                const note = document.createElement('p');
+                note.className = 'runbook-step-note';
+                note.textContent = step.note;
+                item.appendChild(note);
+            }
+            this.stepList.appendChild(item);
+        });
+        this.renderControls(runbook, current);
+    }
+
+    /**
+     * Updates the previous/next buttons and the position text
+     * @param {Object|null} runbook - Active runbook
+     * @param {number|null} current - Current step index
+     */
+    renderControls(runbook, current) {
+        this.prevButton.disabled = !runbook || current <= 0;
+        this.nextButton.disabled = !runbook || current >= runbook.steps.length - 1;
+        this.resetButton.disabled = !runbook;
+        this.position.textContent = runbook ? 'Step ' + (current + 1) + ' of ' + runbook.steps.length : '';
+    }
+
+    /**
+     * Gets the org's current step in a runbook, kept in range if the runbook has since lost steps
+     * @param {Object} runbook - Runbook
+     * @returns {number} Step index
+     */
+    getCurrentIndex(runbook) {
+        const { current } = Runbooks.getRunbookProgress(this.progress, runbook.id);
+        return Math.min(Math.max(current, 0), runbook.steps.length - 1);
+    }
+
+    /**
+     * Names a step after its Setup page
+     * @param {{node: string}} step - Runbook step
+     * @returns {string} Page title
+     */
+    getStepTitle(step) {
+        const node = SetupCatalog.getSetupNode(step.node);
+        // Split node names like "ManageUsers" into "Manage Users"
+        return node ? node.label : step.node.replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    /**
+     * Makes a step current for the org and loads its page
+     * @param {number} index - Step index
+     */
+    goToStep(index) {
+        const runbook = this.activeRunbook;
+        if (!runbook || !this.orgKey || index < 0 || index >= runbook.steps.length) {
+            return;
+        }
+
+        this.onOpenStep(runbook.steps[index]);
+        Runbooks.setCurrentStep(this.orgKey, runbook.id, index).catch(error => {
+            Logger.error('Error saving runbook progress:', error);
+        });
+    }
+
+    /**
+     * Activates the chosen runbook for the org and loads its current step
+     */
+    handleSelectChange() {
+        if (!this.orgKey) {
+            return;
+        }
+
+        const runbookId = this.select.value || null;
+        this.progress = { runbooks: {}, ...this.progress, activeId: runbookId };
+        this.render();
+        const runbook = this.activeRunbook;
+        if (runbook) {
+            this.goToStep(this.getCurrentIndex(runbook));
+        }
+        Runbooks.setActiveRunbook(this.orgKey, runbookId).catch(error => {
+            Logger.error('Error saving runbook progress:', error);
+        });
+    }
+
+    /**
+     * Loads a step when its title is clicked
+     * @param {MouseEvent} event
+     */
+    handleStepClick(event) {
+        const button = event.target.closest('button[data-index]');
+        if (button) {
+            this.goToStep(Number(button.dataset.index));
+        }
+    }
+
+    /**
+     * Ticks or unticks a step for the org
+     * @param {Event} event
+     */
+    handleStepChange(event) {
+        const checkbox = event.target;
+        const runbook = this.activeRunbook;
+        if (checkbox.type !== 'checkbox' || !runbook || !this.orgKey) {
+            return;
+        }
+
+        Runbooks.setStepDone(this.orgKey, runbook.id, Number(checkbox.dataset.index), checkbox.checked)
+            .catch(error => {
+                Logger.error('Error saving runbook progress:', error);
+            });
+    }
+
+    /**
+     * Loads the previous step
+     */
+    handlePrevClick() {
+        const runbook = this.activeRunbook;
+        if (runbook) {
+            this.goToStep(this.getCurrentIndex(runbook) - 1);
+        }
+    }
+
+    /**
+     * Loads the next step
+     */
+    handleNextClick() {
+        const runbook = this.activeRunbook;
+        if (runbook) {
+            this.goToStep(this.getCurrentIndex(runbook) + 1);
+        }
+    }
+
+    /**
+     * Clears the org's ticks for the active runbook and returns to its first step
+     */
+    handleResetClick() {
+        const runbook = this.activeRunbook;
+        if (!runbook || !this.orgKey) {
+            return;
+        }
+
+        Runbooks.resetProgress(this.orgKey, runbook.id).catch(error => {
+            Logger.error('Error resetting runbook progress:', error);
+        });
+    }
+}
@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Tab strip for the Setup pages open in the side panel. Holds no state of its
+ * own: SetupSidePanel owns the tabs and re-renders the strip when they change.
+ */
+class TabStrip {
+    /**
+     * Constructor
+     * @param {Object} options
+     * @param {HTMLElement} options.element - Strip container from sidepanel.html
+     * @param {function(number): void} options.onSelect - Called with the id of the tab to activate
+     * @param {function(number): void} options.onClose - Called with the id of the tab to close
+     * @param {function(number, number): void} options.onMove - Called with a tab id and its new index
+     * @param {function(): void} options.onNew - Called when the user asks for a new tab
+     */
+    constructor({ element, onSelect, onClose, onMove, onNew }) {
+        this.element = element;
+        this.list = element.querySelector('.tab-strip-tabs');
+        this.newButton = element.querySelector('.tab-strip-new');
+        this.onSelect = onSelect;
+        this.onClose = onClose;
+        this.onMove = onMove;
+        this.onNew = onNew;
+        this.tabIds = [];
+        this.draggedTabId = null;
+
+        // Bind methods to maintain 'this' context
+        this.handleClick = this.handleClick.bind(this);
+        this.handleAuxClick = this.handleAuxClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleDragStart = this.handleDragStart.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+        this.handleDragEnd = this.handleDragEnd.bind(this);
+        this.handleNewClick = this.handleNewClick.bind(this);
+
+        this.list.addEventListener('click', this.handleClick);
+        this.list.addEventListener('auxclick', this.handleAuxClick);
+        this.list.addEventListener('keydown', this.handleKeyDown);
+        this.list.addEventListener('dragstart', this.handleDragStart);
+        this.list.addEventListener('dragover', this.handleDragOver);
+        this.list.addEventListener('drop', this.handleDrop);
+        this.list.addEventListener('dragend', this.handleDragEnd);
+        this.newButton.addEventListener('click', this.handleNewClick);
+    }
+
+    /**
+     * Removes all event listeners
+     */
+    destroy() {
+        this.list.removeEventListener('click', this.handleClick);
+        this.list.removeEventListener('auxclick', this.handleAuxClick);
+        this.list.removeEventListener('keydown', this.handleKeyDown);
+        this.list.removeEventListener('dragstart', this.handleDragStart);
+        this.list.removeEventListener('dragover', this.handleDragOver);
+        this.list.removeEventListener('drop', this.handleDrop);
+        this.list.removeEventListener('dragend', this.handleDragEnd);
+        this.newButton.removeEventListener('click', this.handleNewClick);
+    }
+
+    /**
+     * Renders the tabs
+     * @param {Array<{id: number, title: string, state: string}>} tabs - Tabs in strip order
+     * @param {number|null} activeId - Id of the active tab
+     */
+    render(tabs, activeId) {
+        const hadFocus = this.list.contains(document.activeElement);
+        this.tabIds = tabs.map(tab => tab.id);
+        this.list.replaceChildren();
+
+        for (const tab of tabs) {
+            const active = tab.id === activeId;
+            const item = document.createElement('div');
+            item.className = 'tab-strip-tab';
+            item.setAttribute('role', 'tab');
+            item.setAttribute('aria-selected', String(active));
+            item.tabIndex = active ? 0 : -1;
+            item.draggable = true;
+            item.dataset.tabId = String(tab.id);
+            item.dataset.state = tab.state;
+            item.title = tab.title;
+
+            const status = document.createElement('span');
+            status.className = 'tab-strip-status';
+            status.setAttribute('aria-hidden', 'true');
+
+            const title = document.createElement('span');
+            title.className = 'tab-strip-title';
+            title.textContent = tab.title;
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'tab-strip-close';
+            close.tabIndex = -1;
+            close.textContent = '×';
+            close.setAttribute('aria-label', 'Close ' + tab.title);
+
+            item.append(status, title, close);
+            this.list.appendChild(item);
+
+            if (active && hadFocus) {
+                item.focus();
+            }
+        }
+
+        this.element.hidden = tabs.length === 0;
+    }
+
+    /**
+     * Finds the tab id for an event target inside the strip
+     * @param {EventTarget} target
+     * @returns {number|null}
+     */
+    getTabId(target) {
+        const item = target.closest('[data-tab-id]');
+        return item ? Number(item.dataset.tabId) : null;
+    }
+
+    /**
+     * Activates or closes the clicked tab
+     * @param {MouseEvent} event
+     */
+    handleClick(event) {
+        const tabId = this.getTabId(event.target);
+        if (tabId === null) {
+            return;
+        }
+        if (event.target.closest('.tab-strip-close')) {
+            this.onClose(tabId);
+        } else {
+            this.onSelect(tabId);
+        }
+    }
+
+    /**
+     * Closes a tab on middle-click
+     * @param {MouseEvent} event
+     */
+    handleAuxClick(event) {
+        const tabId = this.getTabId(event.target);
+        if (event.button === 1 && tabId !== null) {
+            event.preventDefault();
+            this.onClose(tabId);
+        }
+    }
+
+    /**
+     * Arrow keys switch tabs; Ctrl+Shift+Arrow moves the focused tab; Delete closes it
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        const tabId = this.getTabId(event.target);
+        if (tabId === null) {
+            return;
+        }
+
+        const index = this.tabIds.indexOf(tabId);
+        const delta = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+        if (delta) {
+            event.preventDefault();
+            const nextIndex = (index + delta + this.tabIds.length) % this.tabIds.length;
+            if (event.ctrlKey && event.shiftKey) {
+                this.onMove(tabId, nextIndex);
+            } else {
+                this.onSelect(this.tabIds[nextIndex]);
+            }
+        } else if (event.key === 'Delete') {
+            event.preventDefault();
+            this.onClose(tabId);
+        }
+    }
+
+    /**
+     * Starts dragging a tab
+     * @param {DragEvent} event
+     */
+    handleDragStart(event) {
+        this.draggedTabId = this.getTabId(event.target);
+        if (this.draggedTabId !== null) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(this.draggedTabId));
+        }
+    }
+
+    /**
+     * Allows dropping a dragged tab onto another tab
+     * @param {DragEvent} event
+     */
+    handleDragOver(event) {
+        if (this.draggedTabId !== null && this.getTabId(event.target) !== null) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    }
+
+    /**
+     * Moves the dragged tab to the position of the tab it was dropped on
+     * @param {DragEvent} event
+     */
+    handleDrop(event) {
+        const targetId = this.getTabId(event.target);
+        if (this.draggedTabId === null || targetId === null) {
+            return;
+        }
+        event.preventDefault();
+        if (targetId !== this.draggedTabId) {
+            this.onMove(this.draggedTabId, this.tabIds.indexOf(targetId));
+        }
+        this.draggedTabId = null;
+    }
+
+    /**
+     * Clears drag state when a drag ends without a drop
+     */
+    handleDragEnd() {
+        this.draggedTabId = null;
+    }
+
+    /**
+     * Requests a new tab
+     */
+    handleNewClick() {
+        this.onNew();
+    }
+}
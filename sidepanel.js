@@ -1,26 +1,21 @@
 'use strict';
 
-/**
- * Salesforce domain configurations
- * @type {Object.<string, boolean>}
- */
-const SALESFORCE_DOMAINS = {
-    '.salesforce.com': true,
-    '.force.com': true,
-    '.lightning.force.com': true,
-    '.visualforce.com': true,
-    '.salesforce-setup.com': true
-};
+// Shared URL helpers from lib/salesforce-url.js
+const { isSalesforceDomain, isSetupUrl, getOrgInfo } = SalesforceUrl;
 
-/**
- * Constants for setup URL patterns
- * @const {Array}
- */
-const SETUP_PATTERNS = [
-    '/lightning/setup/',
-    '/setup/',
-    '/_ui/common/setup/'
-];
+// Port messaging with the background from lib/panel-channel.js
+const {
+    PANEL_PORT_NAME,
+    PROTOCOL_VERSION,
+    MessageType,
+    FRAME_MESSAGE_SOURCE,
+    FrameMessageType,
+    FrameFailure,
+    PortChannel
+} = PanelChannel;
+
+// Name this context's events and follow the log level from the options page
+Logger.init({ source: 'panel' });
 
 // Define loading states
 const LoadingState = {
@@ -29,37 +24,24 @@ const LoadingState = {
     ERROR: 'error'
 };
 
-/**
- * Validates if a given URL belongs to a Salesforce domain
- * @param {string} url - The URL to validate
- * @returns {boolean} True if the URL belongs to a Salesforce domain
- */
-function isSalesforceDomain(url) {
-    try {
-        const hostname = new URL(url).hostname;
-        console.log('SF Setup Panel: Checking domain for URL:', url, 'hostname:', hostname);
-        const result = Object.keys(SALESFORCE_DOMAINS).some(domain => hostname.endsWith(domain));
-        console.log('SF Setup Panel: Domain check result:', result);
-        return result;
-    } catch (e) {
-        console.error('SF Setup Panel: Error checking domain:', e);
-        return false;
+// What to tell the user when a page cannot be shown, and which recovery actions to offer
+const LOAD_FAILURE_DETAILS = {
+    [FrameFailure.TIMEOUT]: {
+        message: 'Salesforce did not finish loading this page in time.',
+        actions: ['retry', 'open-tab', 'diagnostics']
+    },
+    [FrameFailure.LOGIN_REQUIRED]: {
+        message: 'Salesforce asked you to log in. Your session may have expired.',
+        actions: ['login', 'retry', 'open-tab', 'diagnostics']
+    },
+    [FrameFailure.FRAMING_BLOCKED]: {
+        message: 'Salesforce refused to show this page inside the side panel (clickjack protection).',
+        actions: ['open-tab', 'retry', 'diagnostics']
     }
-}
+};
 
-/**
- * Checks if a URL matches setup URL patterns
- * @param {string} url - The URL to check
- * @returns {boolean} True if the URL matches setup patterns
- */
-function isSetupUrl(url) {
-    try {
-        const pathname = new URL(url).pathname;
-        return SETUP_PATTERNS.some(pattern => pathname.includes(pattern));
-    } catch (e) {
-        return false;
-    }
-}
+// A refused frame still fires load; failures reported this soon after it still count
+const FAILURE_AFTER_LOAD_MS = 2000;
 
 /**
  * Manages the Salesforce Setup side panel functionality
@@ -69,22 +51,64 @@ class SetupSidePanel {
      * Constructor
      */
     constructor() {
-        console.log('SF Setup Panel: Initializing SetupSidePanel');
+        Logger.info('Initializing SetupSidePanel');
         // Initialize state
         this.state = LoadingState.LOADING;
-        this.setupFrame = null;
+        // Setup pages open in the panel, in tab strip order. Each tab has its own
+        // frame and loading state; frames of restored tabs load on first activation.
+        this.tabs = [];
+        this.activeTab = null;
+        this.nextTabId = 1;
+        this.tabStrip = null;
+        // The panel follows the active browser tab. Pages opened for other browser tabs
+        // are kept aside (frames hidden) so switching back does not reload them.
+        this.workspaces = new Map();
+        // Loaded frames no tab shows any more, kept hidden so their pages reopen instantly
+        this.frameCache = new FrameCache({ limit: Settings.DEFAULT_SETTINGS.panel.warmFrames });
+        this.tabId = null;
+        this.tabUrl = null;
+        this.windowId = null;
+        // Long-lived port to the background; reconnected if the service worker restarts
+        this.channel = null;
+        this.closing = false;
+        this.commandPalette = null;
+        this.pageLists = null;
+        this.orgBanner = null;
+        this.objectShortcuts = null;
+        this.locationBar = null;
+        this.pageActions = null;
+        this.errorActions = null;
+        this.loadTimeoutMs = Settings.DEFAULT_SETTINGS.panel.loadTimeoutSeconds * 1000;
+        this.unsubscribeSettings = null;
+        // Compact mode choices per Setup node, mirrored from chrome.storage.local
+        this.compactModes = {};
+        // Orgs the extension has seen, offered in "Open same page in…"
+        this.knownOrgs = [];
         
         // Bind methods to maintain 'this' context
-        this.handleLoadSuccess = this.handleLoadSuccess.bind(this);
-        this.handleLoadError = this.handleLoadError.bind(this);
         this.handleMessage = this.handleMessage.bind(this);
+        this.handleChannelDisconnect = this.handleChannelDisconnect.bind(this);
+        this.handleBrowserTabRemoved = this.handleBrowserTabRemoved.bind(this);
         this.handleRefreshClick = this.handleRefreshClick.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleQuickFindSelect = this.handleQuickFindSelect.bind(this);
+        this.handleSharedLink = this.handleSharedLink.bind(this);
+        this.handleRunbookStep = this.handleRunbookStep.bind(this);
+        this.handleKeyboardShortcut = this.handleKeyboardShortcut.bind(this);
+        this.handleFavoriteClick = this.handleFavoriteClick.bind(this);
+        this.handleCompactClick = this.handleCompactClick.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
+        this.handleErrorAction = this.handleErrorAction.bind(this);
+        this.handleFrameMessage = this.handleFrameMessage.bind(this);
+        this.handlePageAction = this.handlePageAction.bind(this);
+        this.applySettings = this.applySettings.bind(this);
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.updateFavoriteButton = this.updateFavoriteButton.bind(this);
         
         // Store bound listeners for cleanup
         this.boundListeners = new Map([
-            ['message', this.handleMessage],
-            ['visibilitychange', this.handleVisibilityChange]
+            ['visibilitychange', this.handleVisibilityChange],
+            ['keydown', this.handleKeyboardShortcut]
         ]);
         
         // Initialize when DOM is ready
@@ -98,12 +122,28 @@ class SetupSidePanel {
         window.addEventListener('pagehide', () => this.cleanup());
     }
 
+    /**
+     * The frame of the active tab
+     * @returns {HTMLIFrameElement|null}
+     */
+    get setupFrame() {
+        return this.activeTab ? this.activeTab.frame : null;
+    }
+
+    /**
+     * The URL of the page in the active tab
+     * @returns {string|null}
+     */
+    get currentUrl() {
+        return this.activeTab ? this.activeTab.url : null;
+    }
+
     /**
      * Handles visibility changes of the document
      */
     handleVisibilityChange() {
         if (document.visibilityState === 'visible') {
-            console.log('SF Setup Panel: Visibility changed to visible, updating tab info');
+            Logger.debug('Visibility changed to visible, updating tab info');
             this.getCurrentTabInfo();
         }
     }
@@ -113,15 +153,59 @@ class SetupSidePanel {
      */
     cleanup() {
         try {
-            console.log('SF Setup Panel: Cleaning up resources');
+            Logger.debug('Cleaning up resources');
+            this.closing = true;
+            
             // Remove document-level event listeners - check if bound listeners exist
             if (document && this.boundListeners && this.boundListeners.has('visibilitychange')) {
                 document.removeEventListener('visibilitychange', this.boundListeners.get('visibilitychange'));
             }
             
-            // Remove chrome listeners
-            if (chrome && chrome.runtime && this.boundListeners && this.boundListeners.has('message')) {
-                chrome.runtime.onMessage.removeListener(this.boundListeners.get('message'));
+            if (document && this.boundListeners && this.boundListeners.has('keydown')) {
+                document.removeEventListener('keydown', this.boundListeners.get('keydown'));
+            }
+            
+            if (this.commandPalette) {
+                this.commandPalette.destroy();
+            }
+            
+            if (this.pageLists) {
+                this.pageLists.destroy();
+            }
+            
+            if (this.orgBanner) {
+                this.orgBanner.destroy();
+            }
+            
+            if (this.objectShortcuts) {
+                this.objectShortcuts.destroy();
+            }
+            
+            if (this.tabStrip) {
+                this.tabStrip.destroy();
+            }
+            
+            if (this.locationBar) {
+                this.locationBar.destroy();
+            }
+            
+            if (this.pageActions) {
+                this.pageActions.destroy();
+            }
+            
+            if (this.runbookPlayer) {
+                this.runbookPlayer.destroy();
+            }
+            
+            window.removeEventListener('message', this.handleFrameMessage);
+            
+            if (chrome && chrome.tabs) {
+                chrome.tabs.onRemoved.removeListener(this.handleBrowserTabRemoved);
+            }
+            
+            // Closing the port tells the background this window's panel is gone
+            if (this.channel) {
+                this.channel.close();
             }
             
             // Remove UI event listeners
@@ -130,21 +214,41 @@ class SetupSidePanel {
                 refreshButton.removeEventListener('click', this.handleRefreshClick);
             }
             
-            // Clear iframe if any - with comprehensive null checks
-            if (this.setupFrame) {
-                if (this.handleLoadSuccess) {
-                    this.setupFrame.removeEventListener('load', this.handleLoadSuccess);
-                }
-                if (this.handleLoadError) {
-                    this.setupFrame.removeEventListener('error', this.handleLoadError);
-                }
-                if (this.setupFrame.parentNode) {
-                    this.setupFrame.parentNode.removeChild(this.setupFrame);
-                }
+            const favoriteButton = document.getElementById('favoriteButton');
+            if (favoriteButton && this.handleFavoriteClick) {
+                favoriteButton.removeEventListener('click', this.handleFavoriteClick);
+            }
+            
+            const compactButton = document.getElementById('compactButton');
+            if (compactButton && this.handleCompactClick) {
+                compactButton.removeEventListener('click', this.handleCompactClick);
+            }
+            
+            if (chrome && chrome.storage) {
+                chrome.storage.onChanged.removeListener(this.handleStorageChange);
+            }
+            
+            if (this.errorActions) {
+                this.errorActions.removeEventListener('click', this.handleErrorAction);
+            }
+            
+            if (this.unsubscribeSettings) {
+                this.unsubscribeSettings();
+            }
+            
+            // Clear iframes if any
+            if (this.tabs) {
+                this.tabs.forEach(tab => this.destroyFrame(tab));
+            }
+            if (this.workspaces) {
+                this.workspaces.forEach(workspace => workspace.tabs.forEach(tab => this.destroyFrame(tab)));
+            }
+            if (this.frameCache) {
+                this.frameCache.destroy();
             }
         } catch (error) {
             // Silently handle any cleanup errors
-            console.error('SF Setup Panel: Error during cleanup:', error);
+            Logger.error('Error during cleanup:', error);
         }
     }
 
@@ -153,7 +257,7 @@ class SetupSidePanel {
      */
     initialize() {
         try {
-            console.log('SF Setup Panel: Initializing side panel');
+            Logger.debug('Initializing side panel');
             // Set up DOM references
             this.contentContainer = document.getElementById('content-container');
             this.loadingIndicator = document.getElementById('loading-indicator');
@@ -161,7 +265,7 @@ class SetupSidePanel {
             
             // Create content container if it doesn't exist
             if (!this.contentContainer) {
-                console.log('SF Setup Panel: Creating content container');
+                Logger.debug('Creating content container');
                 const main = document.querySelector('main') || document.body;
                 this.contentContainer = document.createElement('div');
                 this.contentContainer.id = 'content-container';
@@ -178,35 +282,234 @@ class SetupSidePanel {
                 this.setupErrorDisplay();
             } else {
                 this.errorMessageEl = this.errorDisplay.querySelector('.error-message');
+                this.errorActions = this.errorDisplay.querySelector('.error-actions');
+            }
+            
+            // Recovery actions for pages that could not be shown
+            if (this.errorActions) {
+                this.errorActions.addEventListener('click', this.handleErrorAction);
             }
             
+            // Follow the load timeout and extra domains from the options page. The domains
+            // decide which tabs and pages count as Salesforce, so they load before the
+            // panel asks the background for anything.
+            const settingsLoaded = Settings.getSettings()
+                .then(this.applySettings)
+                .catch(error => {
+                    Logger.error('Error loading settings:', error);
+                });
+            this.unsubscribeSettings = Settings.onSettingsChanged(this.handleSettingsChanged);
+            
             // Set up refresh button
             const refreshButton = document.getElementById('refreshButton');
             if (refreshButton) {
-                console.log('SF Setup Panel: Setting up refresh button');
+                Logger.debug('Setting up refresh button');
                 refreshButton.addEventListener('click', this.handleRefreshClick);
             }
             
-            // Listen for messages from the background script
-            console.log('SF Setup Panel: Setting up message listener');
-            chrome.runtime.onMessage.addListener(this.handleMessage);
+            // Set up the menu that moves the current page out of the panel
+            const pageActionsEl = document.getElementById('pageActions');
+            if (pageActionsEl) {
+                this.pageActions = new PageActions({
+                    element: pageActionsEl,
+                    onAction: this.handlePageAction
+                });
+            }
+            
+            // Set up tab strip
+            const tabStripEl = document.getElementById('tabStrip');
+            if (tabStripEl) {
+                this.tabStrip = new TabStrip({
+                    element: tabStripEl,
+                    onSelect: tabId => this.activateTab(this.findTab(tabId)),
+                    onClose: tabId => this.closeTab(this.findTab(tabId)),
+                    onMove: (tabId, index) => this.moveTab(this.findTab(tabId), index),
+                    onNew: () => this.openEmptyTab()
+                });
+            }
+            
+            // Set up back/forward, breadcrumb and copy for the active tab's page
+            const locationBarEl = document.getElementById('locationBar');
+            if (locationBarEl) {
+                this.locationBar = new LocationBar({
+                    element: locationBarEl,
+                    onBack: () => this.traverseTab(this.activeTab, -1),
+                    onForward: () => this.traverseTab(this.activeTab, 1)
+                });
+            }
+            
+            // Pages in the frames report their in-frame navigation from content.js
+            window.addEventListener('message', this.handleFrameMessage);
+            
+            // Set up Quick Find palette
+            const quickFindInput = document.getElementById('quickFindInput');
+            const quickFindResults = document.getElementById('quickFindResults');
+            if (quickFindInput && quickFindResults) {
+                Logger.debug('Setting up Quick Find');
+                this.commandPalette = new CommandPalette({
+                    input: quickFindInput,
+                    results: quickFindResults,
+                    onSelect: this.handleQuickFindSelect,
+                    onOpenLink: this.handleSharedLink
+                });
+                document.addEventListener('keydown', this.handleKeyboardShortcut);
+            }
+            
+            // Set up org banner
+            const orgBannerEl = document.getElementById('orgBanner');
+            if (orgBannerEl) {
+                this.orgBanner = new OrgBanner(orgBannerEl);
+            }
+            
+            // Set up Object Manager shortcuts for the object in the main tab
+            const objectShortcutsEl = document.getElementById('objectShortcuts');
+            if (objectShortcutsEl) {
+                this.objectShortcuts = new ObjectShortcuts({
+                    element: objectShortcutsEl,
+                    onOpen: url => this.createSecureFrame(url)
+                });
+            }
+            
+            // Set up favorites and recent pages
+            const favoritesList = document.getElementById('favoritesList');
+            const recentList = document.getElementById('recentList');
+            if (favoritesList && recentList) {
+                Logger.debug('Setting up page lists');
+                this.pageLists = new PageLists({
+                    favoritesList,
+                    recentList,
+                    onOpen: (url, options) => this.createSecureFrame(url, options),
+                    onUpdate: this.updateFavoriteButton
+                });
+            }
+            
+            // Set up runbooks, whose steps load against the current org
+            const runbookPlayerEl = document.getElementById('runbookPlayer');
+            if (runbookPlayerEl) {
+                this.runbookPlayer = new RunbookPlayer({
+                    element: runbookPlayerEl,
+                    onOpenStep: this.handleRunbookStep
+                });
+            }
+            
+            const favoriteButton = document.getElementById('favoriteButton');
+            if (favoriteButton) {
+                favoriteButton.addEventListener('click', this.handleFavoriteClick);
+            }
+            
+            // Set up compact mode, remembered per Setup node
+            const compactButton = document.getElementById('compactButton');
+            if (compactButton) {
+                compactButton.addEventListener('click', this.handleCompactClick);
+            }
+            chrome.storage.onChanged.addListener(this.handleStorageChange);
+            CompactMode.getCompactModes()
+                .then(modes => this.applyCompactModes(modes))
+                .catch(error => {
+                    Logger.error('Error loading compact modes:', error);
+                });
+            this.loadKnownOrgs();
+            
+            // Open the port to the background before anything asks it for state
+            this.connectToBackground();
             
             // Listen for visibility changes
             document.addEventListener('visibilitychange', this.handleVisibilityChange);
             
+            // Drop pages kept for browser tabs that have been closed
+            chrome.tabs.onRemoved.addListener(this.handleBrowserTabRemoved);
+            
+            // Let the background know which window this panel lives in
+            Promise.all([chrome.windows.getCurrent(), settingsLoaded])
+                .then(([currentWindow]) => {
+                    this.windowId = currentWindow.id;
+                    this.sayHello();
+                })
+                .catch(error => {
+                    Logger.error('Error getting current window:', error);
+                });
+            
             // Get current active tab info
-            this.getCurrentTabInfo();
+            settingsLoaded.then(() => this.getCurrentTabInfo());
         } catch (error) {
-            console.error('SF Setup Panel: Error initializing side panel:', error);
+            Logger.error('Error initializing side panel:', error);
             this.displayError('Failed to initialize: ' + error.message);
         }
     }
     
+    /**
+     * Opens the named port to the background and answers its requests over it
+     */
+    connectToBackground() {
+        try {
+            Logger.debug('Connecting to background');
+            const port = chrome.runtime.connect({ name: PANEL_PORT_NAME });
+            this.channel = new PortChannel(port, {
+                onRequest: this.handleMessage,
+                onDisconnect: this.handleChannelDisconnect
+            });
+            this.sayHello();
+        } catch (error) {
+            // The extension was reloaded or disabled; there is nothing left to talk to
+            Logger.error('Error connecting to background:', error);
+            this.channel = null;
+        }
+    }
+    
+    /**
+     * Reconnects when the background goes away, e.g. after the service worker was stopped
+     */
+    handleChannelDisconnect() {
+        if (this.closing) {
+            return;
+        }
+        Logger.debug('Port to background disconnected, reconnecting');
+        this.connectToBackground();
+    }
+    
+    /**
+     * Tells the background which window this panel lives in so it can deliver
+     * requests it queued for the window
+     */
+    sayHello() {
+        if (!this.windowId || !this.channel) {
+            return;
+        }
+        
+        this.channel.request(MessageType.HELLO, { windowId: this.windowId })
+            .catch(error => {
+                Logger.error('Error registering with background:', error);
+            });
+    }
+    
+    /**
+     * Applies settings from the options page
+     * @param {Object} settings - Complete settings
+     */
+    applySettings(settings) {
+        this.loadTimeoutMs = settings.panel.loadTimeoutSeconds * 1000;
+        this.frameCache.setLimit(settings.panel.warmFrames);
+        SalesforceUrl.setCustomDomains(settings.domains.custom);
+    }
+    
+    /**
+     * Applies changed settings, re-checking the active tab when the extra domains
+     * changed since it may have become (or stopped being) a Salesforce tab
+     * @param {Object} settings - Complete settings
+     */
+    handleSettingsChanged(settings) {
+        const previousDomains = SalesforceUrl.getCustomDomains().join('\n');
+        this.applySettings(settings);
+        if (SalesforceUrl.getCustomDomains().join('\n') !== previousDomains) {
+            this.getCurrentTabInfo();
+        }
+    }
+    
     /**
      * Sets up the loading indicator element if not present
      */
     setupLoadingIndicator() {
-        console.log('SF Setup Panel: Setting up loading indicator');
+        Logger.debug('Setting up loading indicator');
         this.loadingIndicator = document.createElement('div');
         this.loadingIndicator.id = 'loading-indicator';
         this.loadingIndicator.textContent = 'Loading Salesforce Setup...';
@@ -218,7 +521,7 @@ class SetupSidePanel {
      * Sets up the error display element if not present
      */
     setupErrorDisplay() {
-        console.log('SF Setup Panel: Setting up error display');
+        Logger.debug('Setting up error display');
         this.errorDisplay = document.createElement('div');
         this.errorDisplay.id = 'error-display';
         this.errorDisplay.className = 'error-container';
@@ -233,210 +536,1240 @@ class SetupSidePanel {
     }
     
     /**
-     * Gets the current tab information
+     * Gets the current tab information and restores the last page shown for that tab
      */
     getCurrentTabInfo() {
         try {
-            console.log('SF Setup Panel: Getting current tab info');
-            chrome.runtime.sendMessage({ type: 'GET_TAB_STATE' })
+            Logger.debug('Getting current tab info');
+            // The panel is not a tab itself, so resolve the tab it belongs to before asking for state
+            chrome.tabs.query({ active: true, currentWindow: true })
+                .then(([activeTab]) => {
+                    if (!activeTab) {
+                        throw new Error('No active tab found');
+                    }
+                    this.showBrowserTab(activeTab.id, activeTab.url);
+                    if (!isSalesforceDomain(activeTab.url)) {
+                        return null;
+                    }
+                    return this.channel.request(MessageType.GET_TAB_STATE, { tabId: this.tabId });
+                })
                 .then(response => {
-                    console.log('SF Setup Panel: Received tab state response:', response);
-                    if (response && response.state && response.state.setupUrl) {
-                        console.log('SF Setup Panel: Creating secure frame with URL:', response.state.setupUrl);
-                        this.createSecureFrame(response.state.setupUrl);
-                    } else {
-                        console.log('SF Setup Panel: No setup URL in tab state');
+                    Logger.debug('Received tab state response:', response);
+                    const tabState = response && response.state;
+                    this.updateObjectContext(tabState && tabState.objectApiName, tabState && tabState.objectUrl);
+                    if (!tabState) {
+                        return;
+                    }
+                    
+                    // A live panel already has its pages; only a fresh one needs restoring
+                    if (this.tabs.length) {
+                        Logger.debug('Panel already has open tabs');
+                        return;
+                    }
+                    
+                    if (tabState && tabState.panelTabs && tabState.panelTabs.length) {
+                        Logger.debug('Restoring', tabState.panelTabs.length, 'panel tabs');
+                        this.restoreTabs(tabState.panelTabs, tabState.panelActiveIndex);
+                        return;
+                    }
+                    
+                    const restoreUrl = tabState && (tabState.panelUrl || tabState.setupUrl);
+                    if (!restoreUrl) {
+                        Logger.debug('No setup URL in tab state');
+                        return;
                     }
+                    
+                    Logger.debug('Creating secure frame with URL:', restoreUrl);
+                    this.createSecureFrame(restoreUrl);
                 })
                 .catch(error => {
-                    console.error('SF Setup Panel: Error getting tab state:', error);
+                    Logger.error('Error getting tab state:', error);
                     // Handle error silently with fallback error display
                     this.displayError('Unable to load tab information. Try refreshing the page.');
                 });
         } catch (error) {
-            console.error('SF Setup Panel: Error getting tab state:', error);
+            Logger.error('Error getting tab state:', error);
             // Handle error silently with fallback error display
             this.displayError("Unable to load tab information. Try refreshing the page.");
         }
     }
 
     /**
-     * Creates an iframe to load Salesforce setup content
+     * Points the panel at a browser tab. The previous tab's pages are kept aside and
+     * the new tab's pages come back if the panel has shown them before.
+     * @param {number} tabId - The browser tab
+     * @param {string} url - The browser tab's URL
+     */
+    showBrowserTab(tabId, url) {
+        // Pages opened before the tab was known (e.g. a queued LOAD_SETUP) belong to it
+        if (this.tabId !== null && tabId !== this.tabId) {
+            Logger.debug('Switching from browser tab', this.tabId, 'to', tabId);
+            this.stashWorkspace();
+            const workspace = this.workspaces.get(tabId);
+            this.workspaces.delete(tabId);
+            this.tabId = tabId;
+            if (workspace) {
+                this.tabs = workspace.tabs;
+                this.activateTab(workspace.activeTab);
+            } else {
+                // Not persisted yet: the background still holds this tab's saved pages
+                this.tabs = [];
+                this.activeTab = null;
+                this.showEmptyState();
+                this.renderTabStrip();
+                this.renderLocationBar();
+            }
+        }
+        
+        this.tabId = tabId;
+        this.tabUrl = url;
+        document.body.classList.toggle('no-salesforce-tab', !isSalesforceDomain(url));
+        this.updateOrgContext();
+    }
+
+    /**
+     * Hides the current browser tab's pages and keeps them for when it is active again
+     */
+    stashWorkspace() {
+        for (const tab of this.tabs) {
+            if (tab.frame) {
+                tab.frame.hidden = true;
+            }
+        }
+        if (this.tabs.length) {
+            this.workspaces.set(this.tabId, { tabs: this.tabs, activeTab: this.activeTab });
+        }
+    }
+
+    /**
+     * Forgets the pages kept for a browser tab that was closed
+     * @param {number} tabId - The closed browser tab
+     */
+    handleBrowserTabRemoved(tabId) {
+        const workspace = this.workspaces.get(tabId);
+        if (!workspace) {
+            return;
+        }
+        workspace.tabs.forEach(tab => this.destroyFrame(tab));
+        this.workspaces.delete(tabId);
+    }
+
+    /**
+     * Reports the open tabs so the background can restore them for the browser session
+     */
+    persistTabs() {
+        if (!this.tabId || !this.channel) {
+            return;
+        }
+        
+        const openTabs = this.tabs.filter(tab => tab.url);
+        this.channel.request(MessageType.PANEL_TABS_CHANGED, {
+            tabId: this.tabId,
+            tabs: openTabs.map(tab => ({ url: tab.url })),
+            activeIndex: openTabs.indexOf(this.activeTab)
+        }).catch(error => {
+            Logger.error('Error reporting panel tabs:', error);
+        });
+    }
+
+    /**
+     * Creates an iframe to load Salesforce setup content. The page loads into the
+     * active tab unless another tab already shows it or a new tab is requested.
+     * @param {string} setupUrl - The URL to load
+     * @param {Object} [options]
+     * @param {boolean} [options.newTab=false] - Open the page in a new panel tab
      */
-    createSecureFrame(setupUrl) {
+    createSecureFrame(setupUrl, { newTab = false } = {}) {
         try {
-            console.log('SF Setup Panel: Creating secure frame with URL:', setupUrl);
-            // Set state to loading
-            this.setState(LoadingState.LOADING);
+            Logger.debug('Creating secure frame with URL:', setupUrl);
             
             // Validate URL
             if (!setupUrl || typeof setupUrl !== 'string') {
-                console.error('SF Setup Panel: Invalid setup URL provided');
+                Logger.error('Invalid setup URL provided');
                 throw new Error('Invalid setup URL provided');
             }
             
             if (!isSalesforceDomain(setupUrl)) {
-                console.error('SF Setup Panel: URL is not from a valid Salesforce domain:', setupUrl);
+                Logger.error('URL is not from a valid Salesforce domain:', setupUrl);
                 throw new Error('URL is not from a valid Salesforce domain');
             }
             
-            // Remove existing frame if any
-            if (this.setupFrame) {
-                console.log('SF Setup Panel: Removing existing frame');
-                this.setupFrame.removeEventListener('load', this.handleLoadSuccess);
-                this.setupFrame.removeEventListener('error', this.handleLoadError);
-                
-                if (this.setupFrame.parentNode) {
-                    this.setupFrame.parentNode.removeChild(this.setupFrame);
-                }
-                this.setupFrame = null;
-            }
-            
-            // Double-check content container exists
-            if (!this.contentContainer) {
-                console.log('SF Setup Panel: Content container not found, creating one');
-                const main = document.querySelector('main') || document.body;
-                this.contentContainer = document.createElement('div');
-                this.contentContainer.id = 'content-container';
-                main.appendChild(this.contentContainer);
+            // Switch to a tab that already shows this page instead of loading it twice
+            const existingTab = this.tabs.find(tab => tab.url === setupUrl);
+            if (existingTab && existingTab !== this.activeTab && !newTab) {
+                Logger.debug('Page already open in tab', existingTab.id);
+                this.activateTab(existingTab);
+                return;
             }
-
-            // Create new iframe with full permissions
-            console.log('SF Setup Panel: Creating new iframe');
-            this.setupFrame = document.createElement('iframe');
-            this.setupFrame.id = 'setupFrame';
-            
-            // Set relaxed security attributes for maximum functionality
-            this.setupFrame.setAttribute('sandbox', 'allow-same-origin allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox allow-modals allow-downloads allow-top-navigation allow-presentation');
-            this.setupFrame.setAttribute('referrerpolicy', 'no-referrer-when-downgrade');
-            
-            // Set event handlers
-            this.setupFrame.addEventListener('load', this.handleLoadSuccess);
-            this.setupFrame.addEventListener('error', this.handleLoadError);
             
-            // Set source and append to container
-            console.log('SF Setup Panel: Setting iframe src to:', setupUrl);
-            this.setupFrame.src = setupUrl;
-            this.contentContainer.appendChild(this.setupFrame);
+            const tab = newTab || !this.activeTab ? this.addTab() : this.activeTab;
+            this.pushHistory(tab, setupUrl);
+            this.loadTab(tab, setupUrl);
+            this.activateTab(tab);
+            this.recordVisit(setupUrl);
         } catch (error) {
-            console.error('SF Setup Panel: Error creating secure frame:', error);
+            Logger.error('Error creating secure frame:', error);
             this.displayError('Failed to load content: ' + error.message);
             this.setState(LoadingState.ERROR, error.message);
         }
     }
 
     /**
-     * Handles messages from the background script
+     * Adds a tab to the end of the tab strip without loading it
+     * @param {string|null} [url=null] - Page the tab will show when activated
+     * @returns {Object} The new tab
      */
-    handleMessage(message, sender, sendResponse) {
-        try {
-            console.log('SF Setup Panel: Sidepanel received message:', message);
-            
-            if (message.type === 'LOAD_SETUP' && message.url) {
-                console.log('SF Setup Panel: Processing LOAD_SETUP message with URL:', message.url);
-                
-                if (isSalesforceDomain(message.url)) {
-                    console.log('SF Setup Panel: Valid Salesforce domain, creating secure frame');
-                    this.createSecureFrame(message.url);
-                    sendResponse({ success: true });
-                } else {
-                    console.error('SF Setup Panel: Invalid Salesforce domain:', message.url);
-                    this.setState(LoadingState.ERROR, 'Invalid Salesforce domain');
-                    sendResponse({ success: false, error: 'Invalid domain' });
-                }
-                return true; // Indicate that we'll respond asynchronously
-            } else {
-                console.warn('SF Setup Panel: Unhandled message type:', message.type);
-            }
-            
-            return false;
-        } catch (error) {
-            console.error('SF Setup Panel: Error handling message:', error);
-            sendResponse({ error: error.message });
-            return true;
-        }
+    addTab(url = null) {
+        const tab = {
+            id: this.nextTabId++,
+            // Where the frame is now; follows in-frame navigation reported by content.js
+            url,
+            // Pages visited in this tab, for back and forward
+            history: url ? [url] : [],
+            historyIndex: url ? 0 : -1,
+            // Until the new document reports, its location replaces the current entry (redirects)
+            awaitingFirstReport: false,
+            frame: null,
+            state: LoadingState.LOADING,
+            errorMessage: null,
+            // Why the page could not be shown (one of FrameFailure), and where to log in
+            failure: null,
+            loginUrl: null,
+            loadTimer: null,
+            loadedAt: null,
+            onLoad: null,
+            onError: null
+        };
+        this.tabs.push(tab);
+        return tab;
     }
 
     /**
-     * Handles refresh button clicks
+     * Finds a tab by id
+     * @param {number} tabId
+     * @returns {Object|undefined}
      */
-    handleRefreshClick() {
-        try {
-            console.log('SF Setup Panel: Refresh button clicked');
-            if (this.setupFrame && this.setupFrame.src) {
-                console.log('SF Setup Panel: Refreshing iframe content');
-                this.setState(LoadingState.LOADING);
-                this.setupFrame.src = this.setupFrame.src;
-            } else {
-                console.log('SF Setup Panel: No iframe or src, getting tab info');
-                this.getCurrentTabInfo();
+    findTab(tabId) {
+        return this.tabs.find(tab => tab.id === tabId);
+    }
+
+    /**
+     * Replaces a tab's frame with one showing the given URL: a warm frame from the
+     * cache if one is kept for it, otherwise a new frame loading it
+     * @param {Object} tab - Tab to load
+     * @param {string} setupUrl - The URL to load
+     * @param {Object} [options]
+     * @param {boolean} [options.reload=false] - Load the page afresh, discarding any warm frame
+     */
+    loadTab(tab, setupUrl, { reload = false } = {}) {
+        if (reload) {
+            this.destroyFrame(tab);
+            this.frameCache.evict(setupUrl);
+        } else {
+            // Keep the page being replaced warm, then reuse a warm frame for the new one
+            this.releaseFrame(tab);
+            const warmFrame = this.frameCache.take(setupUrl);
+            if (warmFrame) {
+                this.adoptFrame(tab, warmFrame, setupUrl);
+                return;
             }
-        } catch (error) {
-            console.error('SF Setup Panel: Error refreshing content:', error);
-            this.displayError('Failed to refresh: ' + error.message);
         }
+        
+        // Double-check content container exists
+        if (!this.contentContainer) {
+            Logger.debug('Content container not found, creating one');
+            const main = document.querySelector('main') || document.body;
+            this.contentContainer = document.createElement('div');
+            this.contentContainer.id = 'content-container';
+            main.appendChild(this.contentContainer);
+        }
+
+        // Create new iframe with full permissions
+        Logger.debug('Creating new iframe for tab', tab.id);
+        const frame = document.createElement('iframe');
+        frame.className = 'setup-frame';
+        frame.hidden = tab !== this.activeTab;
+        
+        // Set relaxed security attributes for maximum functionality
+        frame.setAttribute('sandbox', 'allow-same-origin allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox allow-modals allow-downloads allow-top-navigation allow-presentation');
+        frame.setAttribute('referrerpolicy', 'no-referrer-when-downgrade');
+        
+        this.attachFrame(tab, frame);
+        
+        // A page that hangs fires neither load nor error, so give up after the configured time
+        tab.awaitingFirstReport = true;
+        tab.failure = null;
+        tab.loginUrl = null;
+        tab.loadedAt = null;
+        tab.loadTimer = setTimeout(() => {
+            this.handleLoadError(tab, { failure: FrameFailure.TIMEOUT });
+        }, this.loadTimeoutMs);
+        
+        // Set source and append to container
+        Logger.debug('Setting iframe src to:', setupUrl);
+        frame.src = setupUrl;
+        tab.url = setupUrl;
+        this.setTabState(tab, LoadingState.LOADING);
+        this.contentContainer.appendChild(frame);
     }
 
     /**
-     * Updates the panel's state
+     * Gives a tab a frame, with handlers that report against this tab rather than
+     * whichever tab is active
+     * @param {Object} tab
+     * @param {HTMLIFrameElement} frame
      */
-    setState(state, errorMessage = null) {
-        console.log('SF Setup Panel: Setting state to:', state, errorMessage ? 'with error: ' + errorMessage : '');
-        this.state = state;
-        this.updateUI(state, errorMessage);
+    attachFrame(tab, frame) {
+        tab.onLoad = () => this.handleLoadSuccess(tab);
+        tab.onError = error => this.handleLoadError(tab, error);
+        frame.addEventListener('load', tab.onLoad);
+        frame.addEventListener('error', tab.onError);
+        tab.frame = frame;
     }
 
     /**
-     * Updates the UI based on current state
+     * Takes a tab's frame away from it, leaving the frame itself in place
+     * @param {Object} tab
+     * @returns {HTMLIFrameElement|null} The frame, or null if the tab had none
      */
-    updateUI(state, errorMessage = null) {
-        if (!this.loadingIndicator || !this.errorDisplay) {
-            console.error('SF Setup Panel: Missing UI elements for updateUI');
+    detachFrame(tab) {
+        const frame = tab.frame;
+        if (!frame) {
+            return null;
+        }
+        
+        clearTimeout(tab.loadTimer);
+        frame.removeEventListener('load', tab.onLoad);
+        frame.removeEventListener('error', tab.onError);
+        tab.frame = null;
+        return frame;
+    }
+
+    /**
+     * Removes a tab's frame and its listeners
+     * @param {Object} tab
+     */
+    destroyFrame(tab) {
+        const frame = this.detachFrame(tab);
+        if (!frame) {
             return;
         }
         
-        switch (state) {
-            case LoadingState.LOADING:
-                console.log('SF Setup Panel: Updating UI for loading state');
-                // Show loading indicator
-                this.loadingIndicator.classList.add('visible');
-                
-                // Hide error display
-                this.errorDisplay.classList.remove('visible');
-                
-                // Dim content container
-                if (this.contentContainer) {
-                    this.contentContainer.classList.add('content-loading');
-                    this.contentContainer.classList.remove('content-loaded');
-                }
-                break;
-                
-            case LoadingState.LOADED:
-                console.log('SF Setup Panel: Updating UI for loaded state');
-                // Hide loading indicator
-                this.loadingIndicator.classList.remove('visible');
-                
-                // Hide error display
-                this.errorDisplay.classList.remove('visible');
-                
-                // Show content container at full opacity
-                if (this.contentContainer) {
-                    this.contentContainer.classList.remove('content-loading');
-                    this.contentContainer.classList.add('content-loaded');
-                }
-                break;
-                
-            case LoadingState.ERROR:
-                console.log('SF Setup Panel: Updating UI for error state');
-                // Hide loading indicator
-                this.loadingIndicator.classList.remove('visible');
-                
-                // Show error with message
-                if (errorMessage && this.errorMessageEl) {
-                    this.errorMessageEl.textContent = errorMessage;
-                    this.errorDisplay.classList.add('visible');
-                }
-                break;
+        Logger.debug('Removing frame for tab', tab.id);
+        if (frame.parentNode) {
+            frame.parentNode.removeChild(frame);
+        }
+    }
+
+    /**
+     * Takes a tab's frame away from it, keeping a loaded page warm in the frame cache
+     * and removing anything else
+     * @param {Object} tab
+     */
+    releaseFrame(tab) {
+        if (!tab.frame || tab.state !== LoadingState.LOADED || !tab.url) {
+            this.destroyFrame(tab);
+            return;
+        }
+        
+        const frame = this.detachFrame(tab);
+        if (this.frameCache.put(tab.url, frame)) {
+            this.requestFrameMemory(frame, tab.url);
+        }
+    }
+
+    /**
+     * Shows a warm frame from the cache in a tab. The page is already loaded, so the
+     * tab skips the loading state and the load timeout.
+     * @param {Object} tab
+     * @param {HTMLIFrameElement} frame - Frame taken from the cache
+     * @param {string} url - The frame's location
+     */
+    adoptFrame(tab, frame, url) {
+        Logger.debug('Showing warm frame in tab', tab.id);
+        this.attachFrame(tab, frame);
+        frame.hidden = tab !== this.activeTab;
+        tab.url = url;
+        tab.awaitingFirstReport = false;
+        tab.failure = null;
+        tab.loginUrl = null;
+        tab.loadedAt = null;
+        this.setTabState(tab, LoadingState.LOADED);
+        // Compact mode may have changed while the frame was cached
+        this.syncCompactMode(tab, url);
+    }
+
+    /**
+     * Asks the content script in a frame how much memory its page uses, for diagnostics.
+     * The answer arrives as a FrameMessageType.MEMORY message.
+     * @param {HTMLIFrameElement} frame
+     * @param {string} url - The frame's location
+     */
+    requestFrameMemory(frame, url) {
+        if (!frame.contentWindow) {
+            return;
+        }
+        frame.contentWindow.postMessage({
+            source: FRAME_MESSAGE_SOURCE,
+            v: PROTOCOL_VERSION,
+            type: FrameMessageType.GET_MEMORY
+        }, new URL(url).origin);
+    }
+
+    /**
+     * Makes a tab the visible one, loading its frame if it was restored without one
+     * @param {Object|null} tab - Tab to show, or null to show nothing
+     */
+    activateTab(tab) {
+        this.activeTab = tab || null;
+        
+        if (tab && !tab.frame && tab.url) {
+            this.loadTab(tab, tab.url);
+        }
+        
+        // Frames stay in place and are only hidden: moving an iframe in the DOM reloads it
+        for (const openTab of this.tabs) {
+            if (openTab.frame) {
+                openTab.frame.hidden = openTab !== tab;
+            }
+        }
+        
+        if (tab) {
+            this.state = tab.state;
+            this.updateUI(tab.state, tab.errorMessage);
+        } else {
+            this.showEmptyState();
+        }
+        
+        this.renderTabStrip();
+        this.renderLocationBar();
+        this.persistTabs();
+        this.updateOrgContext();
+    }
+
+    /**
+     * Adds a page to a tab's history, dropping any pages ahead of the current one
+     * @param {Object} tab
+     * @param {string} url
+     */
+    pushHistory(tab, url) {
+        if (tab.history[tab.historyIndex] === url) {
+            return;
+        }
+        tab.history.splice(tab.historyIndex + 1, Infinity, url);
+        tab.historyIndex = tab.history.length - 1;
+    }
+
+    /**
+     * Goes back or forward in a tab's history. The frame is reloaded at that page:
+     * the browser's history is shared by all frames in the panel, so it cannot be
+     * used to step through a single tab.
+     * @param {Object|null} tab
+     * @param {number} delta - -1 for back, 1 for forward
+     */
+    traverseTab(tab, delta) {
+        const index = tab ? tab.historyIndex + delta : -1;
+        if (!tab || index < 0 || index >= tab.history.length) {
+            return;
+        }
+        
+        Logger.debug('Moving', delta, 'in history of tab', tab.id);
+        tab.historyIndex = index;
+        this.loadTab(tab, tab.history[index]);
+        this.renderTabStrip();
+        this.renderLocationBar();
+        this.persistTabs();
+    }
+
+    /**
+     * Records where a tab's frame went after a navigation inside it
+     * @param {Object} tab
+     * @param {string} url - New location of the frame
+     * @param {string} navigationType - "load", "push", "replace", "traverse" or "reload"
+     */
+    handleFrameNavigated(tab, url, navigationType) {
+        Logger.debug('Tab', tab.id, 'navigated', navigationType, 'to', url);
+        
+        if (tab.awaitingFirstReport && navigationType === 'load') {
+            // The page the panel loaded, after any redirects
+            tab.awaitingFirstReport = false;
+            tab.history[Math.max(tab.historyIndex, 0)] = url;
+            tab.historyIndex = Math.max(tab.historyIndex, 0);
+        } else if (navigationType === 'replace' || navigationType === 'reload') {
+            tab.history[Math.max(tab.historyIndex, 0)] = url;
+            tab.historyIndex = Math.max(tab.historyIndex, 0);
+        } else if (navigationType === 'traverse' && tab.history[tab.historyIndex - 1] === url) {
+            tab.historyIndex--;
+        } else if (navigationType === 'traverse' && tab.history[tab.historyIndex + 1] === url) {
+            tab.historyIndex++;
+        } else {
+            this.pushHistory(tab, url);
+        }
+        
+        // A new document starts out normal, and in-frame navigation may change the node
+        this.syncCompactMode(tab, url);
+        
+        if (url === tab.url) {
+            this.renderLocationBar();
+            return;
+        }
+        
+        tab.url = url;
+        if (isSetupUrl(url)) {
+            this.recordVisit(url);
+        }
+        this.renderTabStrip();
+        this.persistTabs();
+        if (tab === this.activeTab) {
+            this.renderLocationBar();
+            this.updateOrgContext();
+        }
+    }
+
+    /**
+     * Handles postMessage data from the pages in the panel's frames
+     * @param {MessageEvent} event
+     */
+    handleFrameMessage(event) {
+        const data = event.data;
+        if (!data || data.source !== FRAME_MESSAGE_SOURCE || data.v !== PROTOCOL_VERSION ||
+            !isSalesforceDomain(event.origin)) {
+            return;
+        }
+        
+        // Memory reports come from cached frames, which belong to no tab
+        if (data.type === FrameMessageType.MEMORY) {
+            this.frameCache.setMemory(event.source, {
+                usedJSHeapSize: Number.isFinite(data.usedJSHeapSize) ? data.usedJSHeapSize : null,
+                totalJSHeapSize: Number.isFinite(data.totalJSHeapSize) ? data.totalJSHeapSize : null
+            });
+            return;
+        }
+        
+        // Only trust messages from the window of one of our frames
+        const tab = this.getAllTabs().find(candidate => candidate.frame && candidate.frame.contentWindow === event.source);
+        if (!tab) {
+            return;
+        }
+        
+        if (data.type === FrameMessageType.NAVIGATED && typeof data.url === 'string' && isSalesforceDomain(data.url)) {
+            this.handleFrameNavigated(tab, data.url, data.navigationType);
+        }
+    }
+
+    /**
+     * Shows the active tab's location in the location bar
+     */
+    renderLocationBar() {
+        if (!this.locationBar) {
+            return;
+        }
+        
+        const tab = this.activeTab;
+        this.locationBar.render(tab && tab.url ? {
+            url: tab.url,
+            canGoBack: tab.historyIndex > 0,
+            canGoForward: tab.historyIndex < tab.history.length - 1
+        } : null);
+    }
+
+    /**
+     * Closes a tab and activates its neighbour
+     * @param {Object} tab
+     */
+    closeTab(tab) {
+        const index = this.tabs.indexOf(tab);
+        if (index === -1) {
+            return;
+        }
+        
+        this.releaseFrame(tab);
+        this.tabs.splice(index, 1);
+        if (tab === this.activeTab) {
+            this.activateTab(this.tabs[Math.min(index, this.tabs.length - 1)]);
+        } else {
+            this.renderTabStrip();
+            this.persistTabs();
+        }
+    }
+
+    /**
+     * Moves a tab to a new position in the tab strip
+     * @param {Object} tab
+     * @param {number} toIndex - New index
+     */
+    moveTab(tab, toIndex) {
+        const index = this.tabs.indexOf(tab);
+        if (index === -1 || index === toIndex) {
+            return;
+        }
+        
+        this.tabs.splice(index, 1);
+        this.tabs.splice(toIndex, 0, tab);
+        this.renderTabStrip();
+        this.persistTabs();
+    }
+
+    /**
+     * Opens an empty tab and focuses Quick Find so the user can pick a page for it
+     */
+    openEmptyTab() {
+        const emptyTab = this.tabs.find(tab => !tab.url);
+        this.activateTab(emptyTab || this.addTab());
+        if (this.commandPalette) {
+            this.commandPalette.focus();
+        }
+    }
+
+    /**
+     * Re-creates saved tabs. Only the active one loads now; the others load when opened.
+     * @param {Array<{url: string}>} savedTabs - Tabs from the background's tab state
+     * @param {number} activeIndex - Index of the tab that was active
+     */
+    restoreTabs(savedTabs, activeIndex) {
+        const restored = savedTabs
+            .filter(saved => saved.url && isSalesforceDomain(saved.url))
+            .map(saved => this.addTab(saved.url));
+        this.activateTab(restored[activeIndex] || restored[0] || null);
+    }
+
+    /**
+     * Renders the tab strip from the open tabs
+     */
+    renderTabStrip() {
+        if (!this.tabStrip) {
+            return;
+        }
+        
+        this.tabStrip.render(this.tabs.map(tab => ({
+            id: tab.id,
+            title: tab.url ? PageHistory.getPageTitle(tab.url) : 'New tab',
+            state: tab.url ? tab.state : 'empty'
+        })), this.activeTab ? this.activeTab.id : null);
+    }
+
+    /**
+     * Handles requests from the background script. The return value is sent back
+     * as the acknowledgement; a thrown error is sent back as a failure.
+     * @param {string} type - One of PanelChannel.MessageType
+     * @param {Object} payload - The request payload
+     * @returns {Object} Response payload
+     */
+    handleMessage(type, payload) {
+        Logger.debug('Sidepanel received request:', type, payload);
+        
+        switch (type) {
+            case MessageType.LOAD_SETUP:
+                if (!payload.url || !isSalesforceDomain(payload.url)) {
+                    Logger.error('Invalid Salesforce domain:', payload.url);
+                    this.setState(LoadingState.ERROR, 'Invalid Salesforce domain');
+                    throw new Error('Invalid domain');
+                }
+                Logger.debug('Valid Salesforce domain, creating secure frame');
+                this.createSecureFrame(payload.url);
+                return { success: true };
+            case MessageType.OBJECT_CONTEXT_CHANGED:
+                if (payload.tabId === this.tabId) {
+                    this.updateObjectContext(payload.objectApiName, payload.url);
+                }
+                return { success: true };
+            case MessageType.ACTIVE_TAB_CHANGED:
+                // Re-resolve the active tab rather than trusting a possibly stale payload
+                this.getCurrentTabInfo();
+                return { success: true };
+            case MessageType.FRAME_LOAD_FAILED:
+                this.handleFrameLoadFailed(payload);
+                return { success: true };
+            case MessageType.FOCUS_SEARCH:
+                if (this.commandPalette) {
+                    this.commandPalette.focus();
+                }
+                return { success: true };
+            case MessageType.RELOAD_PANEL:
+                this.handleRefreshClick();
+                return { success: true };
+            case MessageType.GET_DIAGNOSTICS:
+                return this.getDiagnostics();
+            case MessageType.CLOSE_PANEL:
+                // Close after the acknowledgement has gone out
+                setTimeout(() => window.close());
+                return { success: true };
+            default:
+                Logger.warn('Unhandled message type:', type);
+                throw new Error('Unknown message type: ' + type);
+        }
+    }
+
+    /**
+     * All tabs the panel holds, including those kept for other browser tabs
+     * @returns {Array<Object>}
+     */
+    getAllTabs() {
+        return [this.tabs, ...Array.from(this.workspaces.values(), workspace => workspace.tabs)].flat();
+    }
+
+    /**
+     * Marks the tabs that were loading a page the background saw fail. The report can
+     * arrive just after the frame fired load for the browser's error page.
+     * @param {Object} report - { url, failure, loginUrl }
+     */
+    handleFrameLoadFailed(report) {
+        for (const tab of this.getAllTabs()) {
+            const justLoaded = tab.loadedAt && Date.now() - tab.loadedAt < FAILURE_AFTER_LOAD_MS;
+            if (tab.url === report.url && tab.frame && (tab.state === LoadingState.LOADING || justLoaded)) {
+                this.handleLoadError(tab, report);
+            }
+        }
+    }
+
+    /**
+     * Runs a recovery action from the error display for the active tab
+     * @param {MouseEvent} event
+     */
+    handleErrorAction(event) {
+        const button = event.target.closest('[data-action]');
+        const tab = this.activeTab;
+        if (!button || !tab || !tab.url) {
+            return;
+        }
+        
+        Logger.debug('Recovery action', button.dataset.action, 'for tab', tab.id);
+        switch (button.dataset.action) {
+            case 'retry':
+                this.loadTab(tab, tab.url, { reload: true });
+                break;
+            case 'open-tab':
+                chrome.tabs.create({ url: tab.url }).catch(error => {
+                    Logger.error('Error opening page in a new tab:', error);
+                });
+                break;
+            case 'login':
+                // The login page brings the user back to the page once they have logged in
+                chrome.tabs.create({ url: tab.loginUrl || tab.url }).catch(error => {
+                    Logger.error('Error opening login page:', error);
+                });
+                break;
+            case 'diagnostics':
+                this.copyDiagnostics(button);
+                break;
+        }
+    }
+
+    /**
+     * Describes the panel's own context for a diagnostics bundle
+     * @returns {Object} { events, tabs, frameCache }: recent panel events, every panel tab
+     *     including those kept for other browser tabs, and the warm frames with the memory
+     *     their pages last reported
+     */
+    getDiagnostics() {
+        const workspaces = [
+            [this.tabId, this.tabs],
+            ...Array.from(this.workspaces, ([browserTabId, workspace]) => [browserTabId, workspace.tabs])
+        ];
+        const tabs = workspaces.flatMap(([browserTabId, panelTabs]) => panelTabs.map(tab => ({
+            id: tab.id,
+            browserTabId,
+            active: tab === this.activeTab,
+            url: tab.url,
+            classification: tab.url ? SalesforceUrl.classifyUrl(tab.url) : null,
+            state: tab.state,
+            failure: tab.failure,
+            errorMessage: tab.errorMessage,
+            historyLength: tab.history.length
+        })));
+        return { events: Logger.getEntries(), tabs, frameCache: this.frameCache.getDiagnostics() };
+    }
+
+    /**
+     * Copies a redacted diagnostics bundle, collected by the background from every
+     * context, to the clipboard for a bug report
+     * @param {HTMLButtonElement} button - Button that briefly confirms the copy
+     */
+    copyDiagnostics(button) {
+        const label = button.textContent;
+        this.channel.request(MessageType.COLLECT_DIAGNOSTICS)
+            .then(response => navigator.clipboard.writeText(JSON.stringify(response.diagnostics, null, 2)))
+            .then(() => {
+                button.textContent = 'Copied';
+                setTimeout(() => {
+                    button.textContent = label;
+                }, 1500);
+            })
+            .catch(error => {
+                Logger.error('Error copying diagnostics:', error);
+                this.displayError('Failed to copy diagnostics: ' + error.message);
+            });
+    }
+
+    /**
+     * Shows the recovery actions that fit why a tab's page could not be shown
+     * @param {Object|null} tab - The tab in error, or null to hide the actions
+     */
+    updateErrorActions(tab) {
+        if (!this.errorActions) {
+            return;
+        }
+        
+        const details = tab && tab.failure ? LOAD_FAILURE_DETAILS[tab.failure] : null;
+        this.errorActions.hidden = !details;
+        for (const button of this.errorActions.querySelectorAll('[data-action]')) {
+            button.hidden = !details || !details.actions.includes(button.dataset.action);
+        }
+    }
+
+    /**
+     * Records a page in the org's history
+     * @param {string} url - The URL loaded into the setup frame
+     */
+    recordVisit(url) {
+        PageHistory.recordVisit(url).catch(error => {
+            Logger.error('Error recording history:', error);
+        });
+    }
+
+    /**
+     * Points org-scoped UI at the org the panel is currently working against
+     */
+    updateOrgContext() {
+        const origin = this.getOrgOrigin();
+        if (this.pageLists) {
+            this.pageLists.setHost(origin ? PageHistory.getOrgHost(origin) : null);
+        }
+        if (this.orgBanner) {
+            this.orgBanner.setOrg(origin ? getOrgInfo(origin) : null);
+        }
+        if (this.runbookPlayer) {
+            this.runbookPlayer.setOrg(origin ? getOrgInfo(origin) : null);
+        }
+        this.updateFavoriteButton();
+        this.updatePageActions();
+        this.updateCompactButton();
+    }
+
+    /**
+     * Shows Object Manager shortcuts for the object open in the main tab
+     * @param {string|null} objectApiName - Object API name, or null when not on a record or list page
+     * @param {string|null} objectUrl - URL of the record or list page, used for the org origin
+     */
+    updateObjectContext(objectApiName, objectUrl) {
+        if (!this.objectShortcuts) {
+            return;
+        }
+        
+        const origin = objectUrl && isSalesforceDomain(objectUrl) ? new URL(objectUrl).origin : null;
+        this.objectShortcuts.setObject(origin, objectApiName || null);
+    }
+
+    /**
+     * Syncs the header star with the favorite state of the current page
+     */
+    updateFavoriteButton() {
+        const favoriteButton = document.getElementById('favoriteButton');
+        if (!favoriteButton) {
+            return;
+        }
+        
+        const pinned = Boolean(this.currentUrl && this.pageLists && this.pageLists.isFavorite(this.currentUrl));
+        favoriteButton.disabled = !this.currentUrl;
+        favoriteButton.setAttribute('aria-pressed', String(pinned));
+        favoriteButton.setAttribute('aria-label', pinned ? 'Unpin current page from favorites' : 'Pin current page to favorites');
+        favoriteButton.querySelector('.favorite-icon').textContent = pinned ? '★' : '☆';
+    }
+
+    /**
+     * Pins or unpins the current page
+     */
+    handleFavoriteClick() {
+        if (!this.currentUrl) {
+            return;
+        }
+        
+        PageHistory.toggleFavorite(this.currentUrl).catch(error => {
+            Logger.error('Error toggling favorite:', error);
+            this.displayError('Failed to update favorites: ' + error.message);
+        });
+    }
+
+    /**
+     * Syncs the header compact toggle with the current page's Setup node
+     */
+    updateCompactButton() {
+        const compactButton = document.getElementById('compactButton');
+        if (!compactButton) {
+            return;
+        }
+        
+        const compact = Boolean(this.currentUrl && CompactMode.isCompact(this.compactModes, this.currentUrl));
+        compactButton.disabled = !this.currentUrl;
+        compactButton.setAttribute('aria-pressed', String(compact));
+        compactButton.setAttribute('aria-label', compact ? 'Turn off compact mode for this Setup page' : 'Turn on compact mode for this Setup page');
+    }
+
+    /**
+     * Toggles compact mode for the current page's Setup node. The storage change
+     * that follows updates every frame showing that node.
+     */
+    handleCompactClick() {
+        if (!this.currentUrl) {
+            return;
+        }
+        
+        const compact = !CompactMode.isCompact(this.compactModes, this.currentUrl);
+        CompactMode.setCompactMode(this.currentUrl, compact).catch(error => {
+            Logger.error('Error saving compact mode:', error);
+            this.displayError('Failed to change compact mode: ' + error.message);
+        });
+    }
+
+    /**
+     * Follows compact mode choices made in this or another window
+     * @param {Object} changes - chrome.storage.onChanged changes
+     * @param {string} areaName
+     */
+    handleStorageChange(changes, areaName) {
+        if (areaName === 'local' && changes[CompactMode.STORAGE_KEY]) {
+            this.applyCompactModes(changes[CompactMode.STORAGE_KEY].newValue || {});
+        }
+        if (areaName === 'local' && changes[OrgLinks.STORAGE_KEY]) {
+            this.loadKnownOrgs();
+        }
+    }
+
+    /**
+     * Reads the orgs the extension has seen and offers them in the page actions menu
+     */
+    loadKnownOrgs() {
+        OrgLinks.getKnownOrgs()
+            .then(orgs => {
+                this.knownOrgs = orgs;
+                this.updatePageActions();
+            })
+            .catch(error => {
+                Logger.error('Error loading known orgs:', error);
+            });
+    }
+
+    /**
+     * Stores compact mode choices and applies them to every frame
+     * @param {Object.<string, boolean>} modes - Choices per node key
+     */
+    applyCompactModes(modes) {
+        this.compactModes = modes;
+        this.getAllTabs().forEach(tab => this.syncCompactMode(tab, tab.url));
+        this.updateCompactButton();
+    }
+
+    /**
+     * Tells a tab's frame whether to show its page compact. Frames belong to no
+     * browser tab, so chrome.scripting cannot reach them; the content script that
+     * already runs in every frame applies compact.css instead.
+     * @param {Object} tab
+     * @param {string|null} url - The frame's current location
+     */
+    syncCompactMode(tab, url) {
+        if (!tab.frame || !tab.frame.contentWindow || !url) {
+            return;
+        }
+        
+        tab.frame.contentWindow.postMessage({
+            source: FRAME_MESSAGE_SOURCE,
+            v: PROTOCOL_VERSION,
+            type: FrameMessageType.SET_COMPACT,
+            compact: CompactMode.isCompact(this.compactModes, url)
+        }, new URL(url).origin);
+    }
+
+    /**
+     * Enables the header menu for moving the current page out of the panel
+     */
+    updatePageActions() {
+        if (!this.pageActions) {
+            return;
+        }
+        
+        this.pageActions.setAvailability({
+            hasPage: Boolean(this.currentUrl),
+            canSwap: Boolean(this.currentUrl && this.tabUrl && isSalesforceDomain(this.tabUrl))
+        });
+        
+        const currentOrg = this.currentUrl ? getOrgInfo(this.currentUrl) : null;
+        this.pageActions.setOrgs(this.knownOrgs.filter(org => !currentOrg || org.orgKey !== currentOrg.orgKey));
+    }
+
+    /**
+     * Opens the current page outside the panel, for pages too cramped to work with here,
+     * copies a link to it that works in any org, or opens it in another org
+     * @param {string} action - "mainTab", "newTab", "popup", "swap", "copyLink" or "openInOrg"
+     * @param {DOMStringMap} [data] - The chosen item's dataset; "openInOrg" carries the org's origin
+     */
+    handlePageAction(action, data = {}) {
+        const url = this.currentUrl;
+        if (!url) {
+            return;
+        }
+        
+        Logger.debug('Page action', action, 'for', url);
+        let pending;
+        switch (action) {
+            case 'mainTab':
+                pending = chrome.tabs.update(this.tabId, { url });
+                break;
+            case 'newTab':
+                pending = chrome.tabs.create({ url });
+                break;
+            case 'popup':
+                pending = chrome.windows.create({ url, type: 'popup', width: 1280, height: 800 });
+                break;
+            case 'swap':
+                pending = this.swapWithMainTab();
+                break;
+            case 'copyLink':
+                pending = navigator.clipboard.writeText(OrgLinks.toShareableLink(url));
+                break;
+            case 'openInOrg':
+                // The background opens the page it has recorded for this tab, so the
+                // new tab matches what the panel shows even if this call races a navigation
+                pending = this.channel.request(MessageType.OPEN_IN_ORG, { tabId: this.tabId, origin: data.origin });
+                break;
+            default:
+                Logger.warn('Unknown page action:', action);
+                return;
+        }
+        
+        pending.catch(error => {
+            Logger.error('Error opening page outside the panel:', error);
+            this.displayError('Failed to open page: ' + error.message);
+        });
+    }
+
+    /**
+     * Puts the main tab's page in the panel and the panel's page in the main tab
+     * @returns {Promise<void>}
+     */
+    async swapWithMainTab() {
+        const panelUrl = this.currentUrl;
+        // Read the tab afresh: tabUrl only follows activation and top-level URL changes
+        const mainTab = await chrome.tabs.get(this.tabId);
+        if (!isSalesforceDomain(mainTab.url)) {
+            throw new Error('The main tab is not on a Salesforce page');
+        }
+        
+        await chrome.tabs.update(mainTab.id, { url: panelUrl });
+        this.createSecureFrame(mainTab.url);
+    }
+
+    /**
+     * Resolves the origin of the org the panel is working against: the page in the
+     * panel if there is one, otherwise the Salesforce page in the current tab
+     * @returns {string|null} Org origin, or null when no Salesforce org is known
+     */
+    getOrgOrigin() {
+        const candidates = [this.currentUrl, this.tabUrl];
+        for (const url of candidates) {
+            if (url && isSalesforceDomain(url)) {
+                return new URL(url).origin;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Loads the Setup page chosen in Quick Find against the current org
+     * @param {Object} node - Setup node from SetupCatalog
+     * @param {Object} [options] - createSecureFrame options, e.g. { newTab: true }
+     */
+    handleQuickFindSelect(node, options) {
+        try {
+            Logger.debug('Quick Find selected', node.id);
+            const origin = this.getOrgOrigin();
+            if (!origin) {
+                this.displayError('Open a Salesforce tab to use Quick Find.');
+                return;
+            }
+            this.createSecureFrame(SetupCatalog.buildSetupUrl(origin, node), options);
+        } catch (error) {
+            Logger.error('Error opening Quick Find result:', error);
+            this.displayError('Failed to open Setup page: ' + error.message);
+        }
+    }
+
+    /**
+     * Loads a shareable link from Quick Find against the current org
+     * @param {string} link - Shareable link, e.g. "/lightning/setup/Flows/home"
+     * @param {Object} [options] - createSecureFrame options, e.g. { newTab: true }
+     */
+    handleSharedLink(link, options) {
+        try {
+            const origin = this.getOrgOrigin();
+            if (!origin) {
+                this.displayError('Open a Salesforce tab to open a shared link.');
+                return;
+            }
+            const url = OrgLinks.resolveShareableLink(link, origin);
+            if (!url) {
+                this.displayError('Not a shareable link: ' + link);
+                return;
+            }
+            Logger.debug('Opening shared link', link, 'against', origin);
+            this.createSecureFrame(url, options);
+        } catch (error) {
+            Logger.error('Error opening shared link:', error);
+            this.displayError('Failed to open shared link: ' + error.message);
+        }
+    }
+
+    /**
+     * Loads a runbook step's Setup page against the current org
+     * @param {{node: string}} step - Runbook step
+     */
+    handleRunbookStep(step) {
+        try {
+            Logger.debug('Runbook step selected', step.node);
+            const origin = this.getOrgOrigin();
+            if (!origin) {
+                this.displayError('Open a Salesforce tab to follow a runbook.');
+                return;
+            }
+            this.createSecureFrame(SetupCatalog.buildSetupUrl(origin, { id: step.node }));
+        } catch (error) {
+            Logger.error('Error opening runbook step:', error);
+            this.displayError('Failed to open Setup page: ' + error.message);
+        }
+    }
+
+    /**
+     * Focuses Quick Find on Ctrl/Cmd+K or "/" (outside of text fields)
+     * @param {KeyboardEvent} event
+     */
+    handleKeyboardShortcut(event) {
+        if (!this.commandPalette) {
+            return;
+        }
+        
+        const isPaletteShortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k';
+        const isSlash = event.key === '/' && !event.target.closest('input, textarea, [contenteditable]');
+        if (isPaletteShortcut || isSlash) {
+            event.preventDefault();
+            this.commandPalette.focus();
+        }
+    }
+
+    /**
+     * Handles refresh button clicks
+     */
+    handleRefreshClick() {
+        try {
+            Logger.debug('Refresh button clicked');
+            if (this.activeTab && this.activeTab.url) {
+                // Reload where the user is now, not the page the frame was first opened on
+                Logger.debug('Refreshing iframe content at', this.activeTab.url);
+                this.loadTab(this.activeTab, this.activeTab.url, { reload: true });
+            } else {
+                Logger.debug('No iframe or src, getting tab info');
+                this.getCurrentTabInfo();
+            }
+        } catch (error) {
+            Logger.error('Error refreshing content:', error);
+            this.displayError('Failed to refresh: ' + error.message);
+        }
+    }
+
+    /**
+     * Updates the panel's state, which is the state of the active tab
+     */
+    setState(state, errorMessage = null) {
+        Logger.debug('Setting state to:', state, errorMessage ? 'with error: ' + errorMessage : '');
+        this.state = state;
+        if (this.activeTab) {
+            this.activeTab.state = state;
+            this.activeTab.errorMessage = errorMessage;
+            this.renderTabStrip();
+        }
+        this.updateUI(state, errorMessage);
+    }
+
+    /**
+     * Updates one tab's state; the UI only follows if it is the active tab
+     * @param {Object} tab
+     * @param {string} state - One of LoadingState
+     * @param {string|null} [errorMessage=null]
+     */
+    setTabState(tab, state, errorMessage = null) {
+        if (tab === this.activeTab) {
+            this.setState(state, errorMessage);
+            return;
+        }
+        tab.state = state;
+        tab.errorMessage = errorMessage;
+        this.renderTabStrip();
+    }
+
+    /**
+     * Hides the loading and error UI when no tab is open
+     */
+    showEmptyState() {
+        if (this.loadingIndicator) {
+            this.loadingIndicator.classList.remove('visible');
+        }
+        if (this.errorDisplay) {
+            this.errorDisplay.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Updates the UI based on current state
+     */
+    updateUI(state, errorMessage = null) {
+        if (!this.loadingIndicator || !this.errorDisplay) {
+            Logger.error('Missing UI elements for updateUI');
+            return;
+        }
+        
+        switch (state) {
+            case LoadingState.LOADING:
+                Logger.debug('Updating UI for loading state');
+                // Show loading indicator
+                this.loadingIndicator.classList.add('visible');
+                
+                // Hide error display
+                this.errorDisplay.classList.remove('visible');
+                
+                // Dim content container
+                if (this.contentContainer) {
+                    this.contentContainer.classList.add('content-loading');
+                    this.contentContainer.classList.remove('content-loaded');
+                }
+                break;
+                
+            case LoadingState.LOADED:
+                Logger.debug('Updating UI for loaded state');
+                // Hide loading indicator
+                this.loadingIndicator.classList.remove('visible');
+                
+                // Hide error display
+                this.errorDisplay.classList.remove('visible');
+                
+                // Show content container at full opacity
+                if (this.contentContainer) {
+                    this.contentContainer.classList.remove('content-loading');
+                    this.contentContainer.classList.add('content-loaded');
+                }
+                break;
+                
+            case LoadingState.ERROR:
+                Logger.debug('Updating UI for error state');
+                // Hide loading indicator
+                this.loadingIndicator.classList.remove('visible');
+                
+                // Offer recovery actions when we know why the page failed
+                this.updateErrorActions(this.activeTab);
+                
+                // Show error with message
+                if (errorMessage && this.errorMessageEl) {
+                    this.errorMessageEl.textContent = errorMessage;
+                    this.errorDisplay.classList.add('visible');
+                }
+                break;
         }
     }
 
@@ -445,7 +1778,8 @@ class SetupSidePanel {
      */
     displayError(message) {
         try {
-            console.error('SF Setup Panel: Displaying error:', message);
+            Logger.error('Displaying error:', message);
+            this.updateErrorActions(null);
             if (this.errorMessageEl) {
                 this.errorMessageEl.textContent = message;
                 if (this.errorDisplay) {
@@ -458,34 +1792,51 @@ class SetupSidePanel {
             }
         } catch (error) {
             // Error in error handler, recover gracefully by falling back to console
-            console.error('SF Setup Panel: Error displaying error message:', error);
+            Logger.error('Error displaying error message:', error);
         }
     }
 
     /**
-     * Handles successful loading of the setup frame
+     * Handles successful loading of a tab's setup frame
+     * @param {Object} tab - The tab whose frame loaded
      */
-    handleLoadSuccess() {
-        console.log('SF Setup Panel: Frame loaded successfully');
-        this.setState(LoadingState.LOADED);
+    handleLoadSuccess(tab) {
+        clearTimeout(tab.loadTimer);
+        tab.loadedAt = Date.now();
+        if (tab.failure === FrameFailure.LOGIN_REQUIRED || tab.failure === FrameFailure.FRAMING_BLOCKED) {
+            // The browser's error page for a refused frame loaded; keep showing why
+            return;
+        }
+        // A slow page that finishes after the timeout is shown after all
+        tab.failure = null;
+        tab.loginUrl = null;
+        Logger.debug('Frame loaded successfully for tab', tab.id);
+        this.setTabState(tab, LoadingState.LOADED);
     }
 
     /**
-     * Handles loading errors
+     * Handles loading errors of a tab's setup frame
+     * @param {Object} tab - The tab whose frame failed
+     * @param {Event|Error|Object} error - A frame error, or { failure, loginUrl } for a
+     *     timeout or a failure the background detected
      */
-    handleLoadError(error) {
-        console.error('SF Setup Panel: Frame loading error:', error);
-        const errorMessage = error.message || 'Failed to load Salesforce Setup content';
-        this.setState(LoadingState.ERROR, errorMessage);
+    handleLoadError(tab, error) {
+        Logger.error('Frame loading error for tab', tab.id, error);
+        clearTimeout(tab.loadTimer);
+        const details = error.failure ? LOAD_FAILURE_DETAILS[error.failure] : null;
+        tab.failure = details ? error.failure : null;
+        tab.loginUrl = error.loginUrl || null;
+        const errorMessage = details ? details.message : error.message || 'Failed to load Salesforce Setup content';
+        this.setTabState(tab, LoadingState.ERROR, errorMessage);
     }
 }
 
 // Initialize the side panel
 try {
-    console.log('SF Setup Panel: Starting initialization');
+    Logger.debug('Starting initialization');
     window.setupSidePanel = new SetupSidePanel();
 } catch (error) {
-    console.error('SF Setup Panel: Error initializing:', error);
+    Logger.error('Error initializing:', error);
     // Display error in the UI if possible
     const errorDisplay = document.getElementById('error-display');
     if (errorDisplay) {
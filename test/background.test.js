@@ -0,0 +1,198 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Creates a chrome event that keeps its listeners
+ * @returns {{listeners: Array<Function>, addListener: Function, removeListener: Function, hasListener: Function}}
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener) >>> 0, 1),
+        hasListener: listener => listeners.includes(listener)
+    };
+}
+
+/**
+ * Creates a chrome.storage area holding copies of what is stored
+ * @param {Object} [initial] - Items stored before the background starts
+ * @returns {Object}
+ */
+function createStorageArea(initial = {}) {
+    const items = structuredClone(initial);
+    return {
+        get: async (keys) => {
+            const names = keys == null ? Object.keys(items) : [].concat(keys);
+            return structuredClone(Object.fromEntries(names.filter(name => name in items).map(name => [name, items[name]])));
+        },
+        set: async (changes) => {
+            Object.assign(items, structuredClone(changes));
+        },
+        remove: async (keys) => {
+            [].concat(keys).forEach(name => delete items[name]);
+        },
+        setAccessLevel: async () => {}
+    };
+}
+
+/**
+ * Creates a chrome namespace whose events keep their listeners and whose methods resolve to
+ * nothing, with the given members taking precedence
+ * @param {Object} [members]
+ * @returns {Object}
+ */
+function createNamespace(members = {}) {
+    return new Proxy(members, {
+        get(target, name) {
+            if (!(name in target)) {
+                target[name] = String(name).startsWith('on') ? createEvent() : async () => {};
+            }
+            return target[name];
+        }
+    });
+}
+
+/**
+ * Creates the chrome API the background service worker uses
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Settings stored in chrome.storage.sync
+ * @returns {Object}
+ */
+function createChrome({ settings = {} } = {}) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    return {
+        runtime: createNamespace({
+            getManifest: () => manifest,
+            getURL: file => 'chrome-extension://extension-id/' + file
+        }),
+        storage: createNamespace({
+            local: createStorageArea(),
+            sync: createStorageArea({ settings }),
+            session: createStorageArea()
+        }),
+        tabs: createNamespace({ TAB_ID_NONE: -1, query: async () => [] }),
+        scripting: createNamespace({ getRegisteredContentScripts: async () => [] }),
+        permissions: createNamespace({ contains: async () => true }),
+        contextMenus: createNamespace({ create: () => {} }),
+        sidePanel: createNamespace(),
+        action: createNamespace(),
+        commands: createNamespace(),
+        omnibox: createNamespace(),
+        webRequest: createNamespace(),
+        webNavigation: createNamespace(),
+        windows: createNamespace({ WINDOW_ID_NONE: -1 })
+    };
+}
+
+/**
+ * Runs background.js and the libraries it imports in a context of their own
+ * @param {Object} chrome - The chrome API to run against
+ * @returns {Object} The context's global object
+ */
+function loadBackground(chrome) {
+    const context = vm.createContext({ chrome, console, navigator: { userAgent: '' }, setTimeout, clearTimeout, URL, crypto });
+    context.globalThis = context;
+
+    // The service worker imports the libraries for the globals they define
+    const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
+    for (const [, file] of source.matchAll(/^import '\.\/(.+?)';/gm)) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    vm.runInContext(source.replace(/^import .*$/gm, ''), context, { filename: 'background.js' });
+    return context;
+}
+
+/**
+ * Creates a connected pair of runtime ports that deliver copies of messages asynchronously
+ * @param {string} name - Port name
+ * @returns {Array<Object>} The two ends
+ */
+function createPortPair(name) {
+    const ends = [0, 1].map(() => ({ name, onMessage: createEvent(), onDisconnect: createEvent() }));
+    ends.forEach((end, index) => {
+        const other = ends[1 - index];
+        end.postMessage = (message) => {
+            const copy = structuredClone(message);
+            setTimeout(() => other.onMessage.listeners.forEach(listener => listener(copy, other)));
+        };
+        end.disconnect = () => {
+            setTimeout(() => other.onDisconnect.listeners.forEach(listener => listener(other)));
+        };
+    });
+    return ends;
+}
+
+/**
+ * Connects a side panel for a window that reports the pages the background asks it to load
+ * @param {Object} background - Context from loadBackground
+ * @param {number} windowId
+ * @returns {Promise<{nextLoad: function(): Promise<string>, disconnect: Function}>}
+ */
+async function connectPanel(background, windowId) {
+    const { PanelChannel } = background;
+    const [panelPort, backgroundPort] = createPortPair(PanelChannel.PANEL_PORT_NAME);
+    let onLoad = () => {};
+    const channel = new PanelChannel.PortChannel(panelPort, {
+        onRequest: (type, payload) => {
+            if (type === PanelChannel.MessageType.LOAD_SETUP) {
+                onLoad(payload.url);
+            }
+            return { success: true };
+        }
+    });
+    background.chrome.runtime.onConnect.listeners.forEach(listener => listener(backgroundPort));
+    await channel.request(PanelChannel.MessageType.HELLO, { windowId });
+    return {
+        nextLoad: () => new Promise((resolve) => {
+            onLoad = resolve;
+        }),
+        disconnect: () => panelPort.disconnect()
+    };
+}
+
+/**
+ * Clicks a context menu item on a Salesforce page
+ * @param {Object} background - Context from loadBackground
+ * @param {Object} info - contextMenus.OnClickData
+ * @param {Object} tab - Tab the menu was opened in
+ */
+function clickContextMenu(background, info, tab) {
+    background.chrome.contextMenus.onClicked.listeners.forEach(listener => listener(info, tab));
+}
+
+describe('context menu "Open in Setup side panel"', () => {
+    const tab = { id: 7, windowId: 1, url: 'https://acme.lightning.force.com/lightning/page/home' };
+    const classicLink = 'https://acme.my.salesforce.com/005?setupid=ManageUsers';
+
+    /**
+     * Opens the Classic link from the context menu with a URL style and returns the page loaded
+     * @param {string} urlStyle - interception.urlStyle setting
+     * @returns {Promise<string>}
+     */
+    async function openClassicLink(urlStyle) {
+        const background = loadBackground(createChrome({ settings: { interception: { urlStyle } } }));
+        const panel = await connectPanel(background, tab.windowId);
+        const load = panel.nextLoad();
+        clickContextMenu(background, { menuItemId: 'open-link-in-panel', linkUrl: classicLink, pageUrl: tab.url }, tab);
+        const url = await load;
+        panel.disconnect();
+        return url;
+    }
+
+    it('rewrites the link into Lightning when the user prefers Lightning', async () => {
+        assert.equal(await openClassicLink('lightning'), 'https://acme.lightning.force.com/lightning/setup/ManageUsers/home');
+    });
+
+    it('opens the link as linked when the user keeps links as they are', async () => {
+        assert.equal(await openClassicLink('asLinked'), classicLink);
+    });
+});
@@ -0,0 +1,314 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../lib/salesforce-url.js');
+
+const { PageType, classifyUrl, getOrgInfo, isSetupUrl, isLoginUrl, setCustomDomains } = globalThis.SalesforceUrl;
+
+/**
+ * URLs and the parts of their classification that matter for each kind of page
+ * @const {Array<{name: string, url: string, expected: Object}>}
+ */
+const CLASSIFY_CASES = [
+    // Lightning Setup
+    {
+        name: 'Lightning Setup home',
+        url: 'https://acme.lightning.force.com/lightning/setup/SetupOneHome/home',
+        expected: { pageType: PageType.SETUP, experience: 'lightning', setupNode: 'SetupOneHome' }
+    },
+    {
+        name: 'Lightning Setup node on the My Domain host',
+        url: 'https://acme.my.salesforce.com/lightning/setup/Flows/home',
+        expected: { pageType: PageType.SETUP, experience: 'lightning', setupNode: 'Flows' }
+    },
+    {
+        name: 'Setup domain',
+        url: 'https://acme.my.salesforce-setup.com/lightning/setup/SetupOneHome/home',
+        expected: { pageType: PageType.SETUP, setupNode: 'SetupOneHome' }
+    },
+
+    // Classic Setup
+    {
+        name: 'Classic Setup prefix',
+        url: 'https://na123.salesforce.com/setup/forcecomHomepage.apexp',
+        expected: { pageType: PageType.SETUP, experience: 'classic', instance: 'na123' }
+    },
+    {
+        name: 'Classic Setup UI path',
+        url: 'https://acme.my.salesforce.com/_ui/common/setup/Setup',
+        expected: { pageType: PageType.SETUP, experience: 'classic' }
+    },
+    {
+        name: 'Classic page opened from the Setup tree',
+        url: 'https://acme.my.salesforce.com/005?setupid=ManageUsers',
+        expected: { pageType: PageType.SETUP, setupNode: 'ManageUsers' }
+    },
+
+    // Object Manager
+    {
+        name: 'Object Manager home',
+        url: 'https://acme.lightning.force.com/lightning/setup/ObjectManager/home',
+        expected: { pageType: PageType.OBJECT_MANAGER, objectApiName: null, objectManagerSection: null }
+    },
+    {
+        name: 'Object Manager object section',
+        url: 'https://acme.lightning.force.com/lightning/setup/ObjectManager/Account/FieldsAndRelationships/view',
+        expected: {
+            pageType: PageType.OBJECT_MANAGER,
+            objectApiName: 'Account',
+            objectManagerSection: 'FieldsAndRelationships'
+        }
+    },
+    {
+        name: 'Object Manager custom object',
+        url: 'https://acme.lightning.force.com/lightning/setup/ObjectManager/Invoice__c/Details/view',
+        expected: { pageType: PageType.OBJECT_MANAGER, objectApiName: 'Invoice__c', objectManagerSection: 'Details' }
+    },
+
+    // Record pages
+    {
+        name: 'Lightning record page',
+        url: 'https://acme.lightning.force.com/lightning/r/Account/001000000000001AAA/view',
+        expected: { pageType: PageType.RECORD, objectApiName: 'Account', recordId: '001000000000001AAA' }
+    },
+    {
+        name: 'Lightning record page without an object name',
+        url: 'https://acme.lightning.force.com/lightning/r/001000000000001AAA/view',
+        expected: { pageType: PageType.RECORD, objectApiName: null, recordId: '001000000000001AAA' }
+    },
+    {
+        name: 'Classic record page',
+        url: 'https://acme.my.salesforce.com/001000000000001',
+        expected: { pageType: PageType.RECORD, experience: 'classic', recordId: '001000000000001' }
+    },
+
+    // List views
+    {
+        name: 'Lightning list view',
+        url: 'https://acme.lightning.force.com/lightning/o/Case/list?filterName=Recent',
+        expected: { pageType: PageType.OBJECT_LIST, objectApiName: 'Case' }
+    },
+    {
+        name: 'Lightning object home',
+        url: 'https://acme.lightning.force.com/lightning/o/Invoice__c/home',
+        expected: { pageType: PageType.OBJECT_LIST, objectApiName: 'Invoice__c' }
+    },
+
+    // Visualforce
+    {
+        name: 'Visualforce page on its own host',
+        url: 'https://acme--c.vf.force.com/apex/InvoiceSummary',
+        expected: { pageType: PageType.VISUALFORCE, visualforcePage: 'InvoiceSummary' }
+    },
+    {
+        name: 'Visualforce page on the My Domain host',
+        url: 'https://acme.my.salesforce.com/apex/InvoiceSummary',
+        expected: { pageType: PageType.VISUALFORCE, visualforcePage: 'InvoiceSummary' }
+    },
+    {
+        name: 'Setup page rendered through Visualforce',
+        url: 'https://acme--c.vf.force.com/apex/ApexClassList?setupid=ApexClasses',
+        expected: { pageType: PageType.SETUP, setupNode: 'ApexClasses' }
+    },
+
+    // Experience sites
+    {
+        name: 'site.com host that was not added as a domain',
+        url: 'https://acme.my.site.com/customers/s/',
+        expected: { pageType: PageType.OTHER, isSalesforce: false, experience: null }
+    },
+    {
+        name: 'Experience site on a force.com host',
+        url: 'https://acme.force.com/partners/s/article/Welcome',
+        expected: { pageType: PageType.EXPERIENCE_SITE, isSalesforce: true }
+    },
+
+    // Login pages
+    {
+        name: 'Login host',
+        url: 'https://login.salesforce.com/',
+        expected: { pageType: PageType.LOGIN }
+    },
+    {
+        name: 'Sandbox login host',
+        url: 'https://test.salesforce.com/?locale=us',
+        expected: { pageType: PageType.LOGIN }
+    },
+    {
+        name: 'My Domain login redirect',
+        url: 'https://acme.my.salesforce.com/?ec=302&startURL=%2Flightning%2Fsetup%2FFlows%2Fhome',
+        expected: { pageType: PageType.LOGIN }
+    },
+    {
+        name: 'Frontdoor without a session',
+        url: 'https://acme.my.salesforce.com/secur/frontdoor.jsp?retURL=%2Fhome',
+        expected: { pageType: PageType.LOGIN }
+    },
+    {
+        name: 'Frontdoor with a session',
+        url: 'https://acme.my.salesforce.com/secur/frontdoor.jsp?sid=00D000000000001',
+        expected: { pageType: PageType.OTHER }
+    },
+
+    // Other pages
+    {
+        name: 'Lightning home',
+        url: 'https://acme.lightning.force.com/lightning/page/home',
+        expected: { pageType: PageType.OTHER, experience: 'lightning' }
+    },
+    {
+        name: 'Non-Salesforce host',
+        url: 'https://example.com/lightning/setup/Flows/home',
+        expected: { pageType: PageType.OTHER, isSalesforce: false, org: null }
+    },
+    {
+        name: 'Non-Salesforce host with a site route',
+        url: 'https://example.com/s/article/Welcome',
+        expected: { pageType: PageType.OTHER, isSalesforce: false, org: null }
+    },
+    {
+        name: 'Invalid URL',
+        url: 'not a url',
+        expected: { pageType: PageType.OTHER, isSalesforce: false, host: null }
+    }
+];
+
+/**
+ * Hosts and the org each one identifies
+ * @const {Array<{name: string, url: string, expected: Object|null}>}
+ */
+const ORG_CASES = [
+    {
+        name: 'Production My Domain',
+        url: 'https://acme.my.salesforce.com/',
+        expected: { myDomain: 'acme', sandboxName: null, orgType: 'production', orgKey: 'acme', displayName: 'acme' }
+    },
+    {
+        name: 'Production Lightning host',
+        url: 'https://acme.lightning.force.com/lightning/page/home',
+        expected: { myDomain: 'acme', sandboxName: null, orgType: 'production', orgKey: 'acme' }
+    },
+    {
+        name: 'Sandbox My Domain',
+        url: 'https://acme--uat.sandbox.my.salesforce.com/',
+        expected: { myDomain: 'acme', sandboxName: 'uat', orgType: 'sandbox', orgKey: 'acme--uat', displayName: 'acme (uat)' }
+    },
+    {
+        name: 'Sandbox Lightning host',
+        url: 'https://acme--uat.sandbox.lightning.force.com/lightning/setup/Flows/home',
+        expected: { myDomain: 'acme', sandboxName: 'uat', orgType: 'sandbox', orgKey: 'acme--uat' }
+    },
+    {
+        name: 'Legacy sandbox My Domain',
+        url: 'https://acme--uat.my.salesforce.com/lightning/setup/Flows/home',
+        expected: { myDomain: 'acme', sandboxName: 'uat', orgType: 'sandbox', orgKey: 'acme--uat', displayName: 'acme (uat)' }
+    },
+    {
+        name: 'Legacy sandbox Lightning host',
+        url: 'https://acme--uat.lightning.force.com/lightning/page/home',
+        expected: { myDomain: 'acme', sandboxName: 'uat', orgType: 'sandbox', orgKey: 'acme--uat', displayName: 'acme (uat)' }
+    },
+    {
+        name: 'Production Visualforce host',
+        url: 'https://acme--c.vf.force.com/apex/InvoiceSummary',
+        expected: { myDomain: 'acme', sandboxName: null, orgType: 'production', orgKey: 'acme' }
+    },
+    {
+        name: 'Sandbox Visualforce host',
+        url: 'https://acme--uat--c.sandbox.vf.force.com/apex/InvoiceSummary',
+        expected: { myDomain: 'acme', sandboxName: 'uat', orgType: 'sandbox', orgKey: 'acme--uat' }
+    },
+    {
+        name: 'Scratch org',
+        url: 'https://power-ruby-1234-dev-ed.scratch.my.salesforce.com/',
+        expected: { myDomain: 'power-ruby-1234-dev-ed', sandboxName: null, orgType: 'scratch' }
+    },
+    {
+        name: 'Scratch org Lightning host',
+        url: 'https://power-ruby-1234-dev-ed.scratch.lightning.force.com/lightning/page/home',
+        expected: { myDomain: 'power-ruby-1234-dev-ed', orgType: 'scratch' }
+    },
+    {
+        name: 'Developer Edition',
+        url: 'https://acme.develop.my.salesforce.com/',
+        expected: { myDomain: 'acme', orgType: 'developer' }
+    },
+    {
+        name: 'Legacy Developer Edition',
+        url: 'https://acme-dev-ed.my.salesforce.com/',
+        expected: { myDomain: 'acme-dev-ed', orgType: 'developer' }
+    },
+    {
+        name: 'Legacy sandbox instance',
+        url: 'https://cs42.salesforce.com/setup/forcecomHomepage.apexp',
+        expected: { myDomain: null, orgType: 'sandbox', orgKey: 'cs42.salesforce.com' }
+    },
+    {
+        name: 'Legacy production instance',
+        url: 'https://na123.salesforce.com/',
+        expected: { myDomain: null, orgType: 'unknown', orgKey: 'na123.salesforce.com' }
+    },
+    {
+        name: 'Non-Salesforce host',
+        url: 'https://example.com/',
+        expected: null
+    }
+];
+
+/**
+ * Picks the properties named in an expectation, so each case only states what it checks
+ * @param {Object|null} actual
+ * @param {Object|null} expected
+ * @returns {Object|null}
+ */
+function pick(actual, expected) {
+    if (!actual || !expected) {
+        return actual;
+    }
+    return Object.fromEntries(Object.keys(expected).map(key => [key, actual[key]]));
+}
+
+describe('classifyUrl', () => {
+    for (const { name, url, expected } of CLASSIFY_CASES) {
+        it(name, () => {
+            assert.deepEqual(pick(classifyUrl(url), expected), expected);
+        });
+    }
+});
+
+describe('classifyUrl with user domains', () => {
+    before(() => setCustomDomains(['*.my.site.com']));
+    after(() => setCustomDomains([]));
+
+    it('Experience site on an added site.com host', () => {
+        const { pageType, isSalesforce } = classifyUrl('https://acme.my.site.com/customers/s/');
+        assert.deepEqual({ pageType, isSalesforce }, { pageType: PageType.EXPERIENCE_SITE, isSalesforce: true });
+    });
+});
+
+describe('getOrgInfo', () => {
+    for (const { name, url, expected } of ORG_CASES) {
+        it(name, () => {
+            assert.deepEqual(pick(getOrgInfo(url), expected), expected);
+        });
+    }
+});
+
+describe('isSetupUrl', () => {
+    for (const { name, url, expected } of CLASSIFY_CASES) {
+        const setup = expected.pageType === PageType.SETUP || expected.pageType === PageType.OBJECT_MANAGER;
+        it(name, () => {
+            assert.equal(isSetupUrl(url), setup);
+        });
+    }
+});
+
+describe('isLoginUrl', () => {
+    for (const { name, url, expected } of CLASSIFY_CASES) {
+        it(name, () => {
+            assert.equal(isLoginUrl(url), expected.pageType === PageType.LOGIN);
+        });
+    }
+});